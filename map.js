@@ -8,11 +8,35 @@
   - Registers layers in one place (LAYERS object)
   - Builds layer toggles from one place (LAYER_TOGGLES object)
   - Adds UI controls (layers control, home button, legend)
-  - Implements click reporting via a slide-in dashboard panel:
-      - Hazards tab: fire, flood, nearest fault
+  - Implements click reporting via a slide-in dashboard panel, driven by the
+    REPORT_SOURCES registry (query + result slot + tab + renderer per source):
+      - Hazards tab: fire (every LRA / SRA designation with responsibility
+        area, map date and the nearest more severe zone), flood (FEMA zone,
+        BFE / depth, SFHA, insurance requirement and every overlap), the five
+        nearest faults with age, slip sense and source layer, Alquist-Priolo
+        Earthquake Fault Zone in / out, every dam whose breach inundation
+        area covers the point, tsunami hazard area with the nearest way out
+        drawn on the map
       - Environment & Health tab: CalEnviroScreen indicators
-      - Geology tab: shaking potential (MMI), landslide susceptibility
-  - PDF export of full location report
+      - Geology tab: shaking potential (MMI), landslide susceptibility, CGS
+        liquefaction and earthquake-induced landslide zones in / out
+      - Nearby tab: closest fire station, hospital, school, airport and EV
+        charger, with a line drawn to each on the map
+      - Composite hazard index above the tabs, with user-adjustable weights
+      - "Source" footer per card (service, layer, feature IDs, dates), also
+        listed as a Sources appendix in the PDF
+      - Reverse-geocoded street address, city, county and ZIP in the panel
+        header and PDF (Nominatim, rate-limited and cached)
+      - Nearest-zone and fault distances from one geodesic, expanding-ring
+        proximity search (true radius, paged queries)
+  - Address / place / coordinate search that runs the same report
+  - Area report for a drawn polygon or rectangle (leaflet-geoman)
+  - PDF export of full location report, plus JSON / GeoJSON / CSV data exports
+  - Pin up to four locations and compare them side by side
+  - Shareable permalinks: view, basemap, overlays and open report in the URL hash
+  - Report history (localStorage): reopen saved reports or re-run them live
+  - Site portfolio: CSV import of many sites, queued reports, sortable table,
+    severity-coloured markers and CSV export
   - EV charger overlay with Cloudflare Worker proxy
 
   DEBUGGING:
@@ -42,6 +66,16 @@ const SERVICES = {
     "https://gis.conservation.ca.gov/server/rest/services/CGS/MS48_MMI_PGV_10pc50/ImageServer",
   FAULTS_REGIONAL_QUAT: "https://gis.conservation.ca.gov/server/rest/services/CGS/FaultActivityMapCA/MapServer/17",
   FAULTS_LOCAL_QUAT: "https://gis.conservation.ca.gov/server/rest/services/CGS/FaultActivityMapCA/MapServer/21",
+  AP_FAULT_ZONES:
+    "https://gis.conservation.ca.gov/server/rest/services/CGS_Earthquake_Hazard_Zones/SHP_Fault_Zones/FeatureServer/0",
+  LIQUEFACTION_ZONES:
+    "https://gis.conservation.ca.gov/server/rest/services/CGS_Earthquake_Hazard_Zones/SHP_Liquefaction_Zones/FeatureServer/0",
+  EQ_LANDSLIDE_ZONES:
+    "https://gis.conservation.ca.gov/server/rest/services/CGS_Earthquake_Hazard_Zones/SHP_Landslide_Zones/FeatureServer/0",
+  DAM_INUNDATION:
+    "https://gis.water.ca.gov/arcgis/rest/services/Structure/DSOD_Dam_Breach_Inundation/MapServer/0",
+  TSUNAMI:
+    "https://services2.arcgis.com/zr3KAIbsRSUyARHG/ArcGIS/rest/services/CA_Tsunami_Hazard_Area/FeatureServer/0",
   CA_BOUNDARY_DETAILED:
     "https://services.arcgis.com/ue9rwulIoeLEI9bj/arcgis/rest/services/US_StateBoundaries/FeatureServer/0",
   FIRE_SRA:
@@ -75,6 +109,100 @@ const UI = {
   ZOOM_POI_MIN: 14,
   EV_FETCH_DEBOUNCE_MS: 600,
   EV_MAX_RESULTS: 5000,
+  SOURCE_TIMEOUT_MS: 20000,
+  METADATA_TIMEOUT_MS: 4000,   // service "last edited" lookup for the Source footer
+  COAST_TOLERANCE_MILES: 2,    // clicks this close to the CA outline still get a report
+  NEAREST_FAULTS: 5,           // distinct faults listed in the report
+};
+
+// Nearest-feature lookups (fire, flood, faults) search true geodesic circles,
+// widening through RINGS_METERS and stopping at the first ring with an answer.
+// The last ring is the furthest any report looks.
+const PROXIMITY = {
+  RINGS_METERS: [8047, 24140, UI.NEARBY_METERS],   // 5, 15, 50 miles
+  PAGE_SIZE: 200,        // features per request while streaming a ring
+  PRECISION: 5,          // coordinate decimals requested (~1 m)
+  EXIT_CANDIDATES: 200,  // nearest boundary points tested for a dry-land tsunami exit
+};
+
+// Forward geocoding for the search box. Point SEARCH_URL at your own
+// Nominatim (/search) or Pelias (/v1/autocomplete) instance and set PROVIDER.
+// The public Nominatim server discourages autocomplete traffic, so the
+// debounce only queries once typing pauses. Every Nominatim request (search,
+// reverse and portfolio geocoding) shares one queue spaced MIN_INTERVAL_MS apart.
+const GEOCODER = {
+  PROVIDER: "nominatim",   // "nominatim" | "pelias"
+  SEARCH_URL: "https://nominatim.openstreetmap.org/search",
+  REVERSE_URL: "https://nominatim.openstreetmap.org/reverse",
+  MIN_INTERVAL_MS: 1100,   // Nominatim allows one request per second
+  VIEWBOX: [-124.48, 32.53, -114.13, 42.01],   // California: minLng, minLat, maxLng, maxLat
+  MIN_QUERY_CHARS: 3,
+  DEBOUNCE_MS: 400,
+  MAX_RESULTS: 5,
+  FLY_ZOOM: 15,
+};
+
+const AREA = {
+  MAX_SQ_MILES: 25,          // larger drawings would pull too much geometry
+  MAX_SAMPLES: 25,           // MMI / landslide sample points per area
+  SAMPLE_CONCURRENCY: 4,
+};
+
+const COMPARE = {
+  MAX_PINS: 4,
+};
+const PORTFOLIO = {
+  MAX_SITES: 250,
+  SITE_CONCURRENCY: 2,         // site reports in flight at once
+};
+const HISTORY = {
+  STORAGE_KEY: "gm-report-history",
+  MAX_ENTRIES: 50,
+};
+
+const REPORT_CACHE = {
+  DB_NAME: "geospatial-manifold-cache",
+  COORD_PRECISION: 4,          // decimal places; 4 ≈ 11 m, so re-clicks on the same parcel hit
+  MEMORY_MAX_ENTRIES: 300,
+  // Part of every cache key. Bump it whenever a source's values change shape,
+  // so entries written by an older build are never read back.
+  SCHEMA_VERSION: 2,
+  TTL: {
+    SHORT: 15 * 60 * 1000,               // live feeds (e.g. EV charger availability)
+    DEFAULT: 24 * 60 * 60 * 1000,
+    LONG: 30 * 24 * 60 * 60 * 1000,      // slow-changing regulatory maps (FHSZ, CGS, FEMA)
+  },
+};
+
+const HAZARD_INDEX = {
+  STORAGE_KEY: "gm-hazard-index-weights",
+  FAULT_MAX_MILES: 25,         // fault component reaches 0 at this distance
+  // Relative weights; users can change them from the panel.
+  DEFAULT_WEIGHTS: { fire: 25, flood: 20, fault: 15, mmi: 15, landslide: 10, ces: 15 },
+};
+
+// DWR Division of Safety of Dams breach inundation areas. Field names vary
+// between map submissions, so each value is read from the first field present.
+// HAZARD_ORDER is DSOD's downstream hazard classification, most severe first.
+const DAM_INUNDATION = {
+  NAME_FIELDS:     ["DAM_NAME", "DamName", "Dam_Name", "NAME"],
+  OWNER_FIELDS:    ["OWNER", "DAM_OWNER", "Owner", "OwnerName", "OWNER_NAME"],
+  HAZARD_FIELDS:   ["HAZARD_CLASS", "DOWNSTREAM_HAZARD", "HazardClass", "Hazard_Class", "HAZARD"],
+  ID_FIELDS:       ["NID_ID", "NATIONAL_ID", "NIDID", "DAM_NO", "DAM_NUMBER"],
+  SCENARIO_FIELDS: ["SCENARIO", "Scenario", "MAP_SCENARIO", "STRUCTURE", "FAILURE_SCENARIO"],
+  HAZARD_ORDER: ["Extremely High", "High", "Significant", "Low"],
+};
+
+// CAL FIRE Fire Hazard Severity Zones. Responsibility area and map date are
+// read from each zone when its layer carries them; MAP_DATES covers the rest.
+const FIRE_HAZARD = {
+  RESPONSIBILITY_FIELDS: ["SRA", "RESP_AREA", "Responsibility_Area", "RA"],
+  DATE_FIELDS: ["Effective_Date", "EffectiveDate", "EFFECTIVE_DATE", "Adoption_Date", "AdoptionDate", "ADOPTION_DATE"],
+  RESPONSIBILITY: { LRA: "Local", SRA: "State", FRA: "Federal" },
+  MAP_DATES: {
+    SRA: "Effective April 1, 2024",
+    LRA: "2025 CAL FIRE map, in force once adopted by the local agency",
+  },
 };
 
 const NREL = {
@@ -95,10 +223,99 @@ function debounce(fn, ms = 400) {
   };
 }
 
+// Runs fn over items with at most `limit` calls in flight. Resolves to the
+// results in input order; a rejected call rejects the whole batch.
+async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
+
+// Serialises calls so they start at least intervalMs apart. schedule(fn, signal)
+// resolves with fn()'s result, or rejects with an AbortError if the signal
+// fires while the call is still queued.
+function createRateLimiter(intervalMs) {
+  let chain = Promise.resolve();
+  let lastAt = 0;
+  function schedule(fn, signal) {
+    const turn = chain.then(async () => {
+      const wait = lastAt + intervalMs - Date.now();
+      if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+      if (signal?.aborted) throw new DOMException("Aborted", "AbortError");
+      lastAt = Date.now();
+      return fn();
+    });
+    chain = turn.catch(() => {});
+    return turn;
+  }
+  return { schedule };
+}
+
 function $(id) {
   return document.getElementById(id);
 }
 
+// Makes outside text (place names, CSV fields) safe inside HTML templates.
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[ch]);
+}
+
+// Minimal RFC 4180 parser: quoted fields, doubled quotes, CRLF or LF rows.
+// Returns an array of rows (arrays of strings), skipping blank lines.
+function parseCSV(text) {
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch !== '"') field += ch;
+      else if (text[i + 1] === '"') { field += '"'; i++; }
+      else quoted = false;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field); field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); rows.push(row);
+      row = []; field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+// Saves text as a file through a temporary object URL.
+function downloadFile(filename, mime, text) {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Ties an esri-leaflet request (the object .run() returns) to an AbortSignal,
+// so aborting the signal also aborts the underlying HTTP request.
+function abortWith(signal, req) {
+  if (!signal || typeof req?.abort !== "function") return req;
+  const onAbort = () => { try { req.abort(); } catch (e) {} };
+  if (signal.aborted) onAbort();
+  else signal.addEventListener("abort", onAbort, { once: true });
+  return req;
+}
+
 /* ============================================================================
   3) MAP INIT + BASEMAP FACTORY
 ============================================================================ */
@@ -130,6 +347,37 @@ function createBasemaps() {
   return { baseOSM, esriSat, cartoLight, cartoDark };
 }
 
+// Detailed California outline, kept once addCaliforniaFocusMask has loaded it
+// so reports can be limited to the coverage area.
+let _caBoundary = null;   // { feature, outline }
+let _caBoundarySettled = null;
+// Resolves once the boundary request has finished, whether or not it gave a
+// usable outline.
+const _caBoundaryReady = new Promise((resolve) => { _caBoundarySettled = resolve; });
+
+// Resolves when isInCoverage() has its final answer, or after `ms` if the
+// boundary is still loading, so a slow service only delays the check.
+function whenCoverageReady(ms = UI.SOURCE_TIMEOUT_MS) {
+  return Promise.race([_caBoundaryReady, new Promise((resolve) => setTimeout(resolve, ms))]);
+}
+
+// True inside California or within UI.COAST_TOLERANCE_MILES of its outline
+// (piers, harbours, a coastline digitised slightly inland). Until the
+// boundary has loaded every point counts as covered, so a slow boundary
+// service never blocks reports.
+function isInCoverage(latlng) {
+  if (!_caBoundary) return true;
+  try {
+    const pt = turf.point([latlng.lng, latlng.lat]);
+    if (turf.booleanPointInPolygon(pt, _caBoundary.feature)) return true;
+    const edge = turf.nearestPointOnLine(_caBoundary.outline, pt);
+    return turf.distance(pt, edge, { units: "miles" }) <= UI.COAST_TOLERANCE_MILES;
+  } catch (e) {
+    console.warn("Coverage check failed:", e);
+    return true;
+  }
+}
+
 function addCaliforniaFocusMask(map) {
   try {
     const maskPane = map.createPane("caMaskPane");
@@ -140,9 +388,16 @@ function addCaliforniaFocusMask(map) {
     const states = L.esri.featureLayer({ url: SERVICES.CA_BOUNDARY_DETAILED });
 
     states.query().where("NAME = 'California'").returnGeometry(true).run((err, fc) => {
+      _caBoundarySettled();
       if (err || !fc?.features?.length) return;
       const caGeom = fc.features[0].geometry;
       if (!caGeom) return;
+      try {
+        const feature = turf.feature(caGeom);
+        _caBoundary = { feature, outline: turf.polygonToLine(feature) };
+      } catch (e) {
+        console.warn("CA boundary: unusable geometry, coverage check disabled:", e);
+      }
 
       const toLatLngRing = (ring) => ring.map(([lng, lat]) => [lat, lng]);
       const holes = [];
@@ -163,6 +418,7 @@ function addCaliforniaFocusMask(map) {
       }).addTo(map);
     });
   } catch (e) {
+    _caBoundarySettled();
     console.warn("CA mask: failed to initialize:", e);
   }
 }
@@ -192,6 +448,9 @@ function hideSpinner() {
   5) HAZARD IDENTIFY HELPERS (Landslide + Shaking)
 ============================================================================ */
 
+// Susceptibility classes, lowest to highest.
+const LANDSLIDE_ORDER = ["I","II","III","IV","V","VI","VII","VIII","IX","X"];
+
 const LANDSLIDE_CLASS_MAP = {
   10: { label: "X" }, 9: { label: "IX" }, 8: { label: "VIII" }, 7: { label: "VII" },
   6: { label: "VI" }, 5: { label: "V" }, 4: { label: "IV" }, 3: { label: "III" },
@@ -237,14 +496,14 @@ function parseLandslideLabelFromIdentify(rawResponse, featureCollection) {
   return null;
 }
 
-function identifyLandslideAt(map, latlng, { tolerance = 8 } = {}) {
+function identifyLandslideAt(map, latlng, { tolerance = 8, signal } = {}) {
   return new Promise((resolve, reject) => {
-    L.esri.identifyFeatures({ url: SERVICES.LANDSLIDE_MAPSERVER })
+    abortWith(signal, L.esri.identifyFeatures({ url: SERVICES.LANDSLIDE_MAPSERVER })
       .on(map).at(latlng).tolerance(tolerance).layers("visible:0").returnGeometry(false)
       .run((error, featureCollection, rawResponse) => {
         if (error) return reject(error);
         resolve(parseLandslideLabelFromIdentify(rawResponse, featureCollection));
-      });
+      }));
   });
 }
 
@@ -267,18 +526,18 @@ function formatMMI(mmi) {
   return { label: `${meta.roman} - ${meta.desc}`, intClass, valueStr: mmi.toFixed(1) };
 }
 
-function identifyMMIAt(latlng) {
-  return new Promise((resolve) => {
-    L.esri.imageService({ url: SERVICES.SHAKING_IMAGESERVER })
+function identifyMMIAt(latlng, { signal } = {}) {
+  return new Promise((resolve, reject) => {
+    abortWith(signal, L.esri.imageService({ url: SERVICES.SHAKING_IMAGESERVER })
       .identify().at(latlng).returnGeometry(false)
       .run((err, res, raw) => {
-        if (err) { console.warn("MMI identify error:", err); resolve(null); return; }
+        if (err) return reject(err);
         let val = null;
         if (raw?.pixel && typeof raw.pixel.value !== "undefined") val = Number(raw.pixel.value);
         else if (typeof raw?.value !== "undefined") val = Number(raw.value);
         else if (typeof res?.value !== "undefined") val = Number(res.value);
         resolve(Number.isFinite(val) ? val : null);
-      });
+      }));
   });
 }
 
@@ -348,53 +607,58 @@ function createLandslideVisualLayer() {
   return L.esri.dynamicMapLayer({ url: SERVICES.LANDSLIDE_MAPSERVER, opacity: 0.6 });
 }
 
-function createFaultsInteractiveLayer(map) {
-  function faultLineStyle() {
-    return { color: "#8ea3b7", weight: 2, opacity: 0.9 };
+// Fault layers don't share a schema, so attributes are found by key name.
+const FAULT_NAME_HINTS = ["fault","name","faultname","fault_name","fault_name_","faultnam","faultnm","faultnm_","fault_nm","f_name"];
+const FAULT_SLIP_HINTS = ["slip_sense","slipsense","sense","slip_type","sliptype","movement","fault_type","faulttype","motion","mechanism"];
+const FAULT_AGE_HINTS  = ["age","activity","recency","holocene","pleistocene","quaternary","time","ageclass","age_class","age_desc","ageofmove","age_of_move","most_recent","last_movement","sliprate","slip_rate"];
+
+function normalizeKey(k) { return String(k).toLowerCase().replace(/[^a-z0-9]/g, ""); }
+
+function scoreKey(key, hints) {
+  const nk = normalizeKey(key);
+  let score = 0;
+  for (const h of hints) {
+    const nh = normalizeKey(h);
+    if (!nh) continue;
+    if (nk === nh) score += 50;
+    else if (nk.includes(nh)) score += 20;
   }
+  score += Math.max(0, 10 - Math.min(10, nk.length / 6));
+  return score;
+}
 
-  const NAME_HINTS = ["fault","name","faultname","fault_name","fault_name_","faultnam","faultnm","faultnm_","fault_nm","f_name"];
-  const AGE_HINTS  = ["age","activity","recency","holocene","pleistocene","quaternary","time","ageclass","age_class","age_desc","ageofmove","age_of_move","most_recent","last_movement","sliprate","slip_rate"];
-
-  function normalizeKey(k) { return String(k).toLowerCase().replace(/[^a-z0-9]/g, ""); }
-
-  function scoreKey(key, hints) {
-    const nk = normalizeKey(key);
-    let score = 0;
-    for (const h of hints) {
-      const nh = normalizeKey(h);
-      if (!nh) continue;
-      if (nk === nh) score += 50;
-      else if (nk.includes(nh)) score += 20;
-    }
-    score += Math.max(0, 10 - Math.min(10, nk.length / 6));
-    return score;
+// Attribute key whose name best matches the hints. Unless `strict`, falls back
+// to the first string attribute when nothing matches well.
+function pickBestKey(props, hints, { strict = false } = {}) {
+  if (!props) return null;
+  const keys = Object.keys(props);
+  let best = null;
+  for (const k of keys) {
+    const v = props[k];
+    if (v == null || v === "") continue;
+    const s = scoreKey(k, hints);
+    if (!best || s > best.score) best = { key: k, score: s };
   }
-
-  function pickBestKey(props, hints) {
-    if (!props) return null;
-    const keys = Object.keys(props);
-    let best = null;
+  if (!best || best.score < 15) {
+    if (strict) return null;
     for (const k of keys) {
       const v = props[k];
-      if (v == null || v === "") continue;
-      const s = scoreKey(k, hints);
-      if (!best || s > best.score) best = { key: k, score: s };
-    }
-    if (!best || best.score < 15) {
-      for (const k of keys) {
-        const v = props[k];
-        if (typeof v === "string" && v.trim().length >= 3) return k;
-      }
-      return null;
+      if (typeof v === "string" && v.trim().length >= 3) return k;
     }
-    return best.key;
+    return null;
+  }
+  return best.key;
+}
+
+function createFaultsInteractiveLayer(map) {
+  function faultLineStyle() {
+    return { color: "#8ea3b7", weight: 2, opacity: 0.9 };
   }
 
   function bindFaultPopup(feature, layer) {
     const p = feature.properties || {};
-    const nameKey = pickBestKey(p, NAME_HINTS);
-    const ageKey  = pickBestKey(p, AGE_HINTS);
+    const nameKey = pickBestKey(p, FAULT_NAME_HINTS);
+    const ageKey  = pickBestKey(p, FAULT_AGE_HINTS);
     const nameStr = (nameKey && p[nameKey] && String(p[nameKey]).trim()) ? String(p[nameKey]) : "Unknown";
     const ageStr  = (ageKey  && p[ageKey]  && String(p[ageKey]).trim())  ? String(p[ageKey])  : "Unknown";
     layer.bindPopup(`<strong>Fault:</strong> ${nameStr}<br><strong>Age / Activity:</strong> ${ageStr}`);
@@ -419,6 +683,52 @@ function createFaultsInteractiveLayer(map) {
   return group;
 }
 
+// CGS regulatory earthquake zones. Inside one, new development needs a
+// site-specific geologic or geotechnical study and a sale needs a natural
+// hazard disclosure. `layerKey` is the zone's entry in LAYERS / reportLayers.
+const CGS_ZONES = {
+  ap: {
+    layerKey: "apFaultZones", url: SERVICES.AP_FAULT_ZONES, color: "#d7301f",
+    label: "Alquist-Priolo Earthquake Fault Zone",
+  },
+  liquefaction: {
+    layerKey: "liquefactionZones", url: SERVICES.LIQUEFACTION_ZONES, color: "#3182bd",
+    label: "Liquefaction Zone",
+  },
+  eqLandslide: {
+    layerKey: "eqLandslideZones", url: SERVICES.EQ_LANDSLIDE_ZONES, color: "#a6611a",
+    label: "Earthquake-Induced Landslide Zone",
+  },
+};
+
+function createCgsZoneLayers() {
+  const out = {};
+  Object.values(CGS_ZONES).forEach((z) => {
+    out[z.layerKey] = L.esri.featureLayer({
+      url: z.url,
+      attribution: "California Geological Survey",
+      style: () => ({ color: z.color, weight: 1, fillColor: z.color, fillOpacity: 0.3 }),
+    });
+  });
+  return out;
+}
+
+function createDamInundationLayer() {
+  return L.esri.featureLayer({
+    url: SERVICES.DAM_INUNDATION,
+    attribution: "California DWR, Division of Safety of Dams",
+    style: () => ({ color: "#6a51a3", weight: 0.5, fillColor: "#6a51a3", fillOpacity: 0.3 }),
+  });
+}
+
+function createTsunamiLayer() {
+  return L.esri.featureLayer({
+    url: SERVICES.TSUNAMI,
+    attribution: "California Geological Survey",
+    style: () => ({ color: "#2b8cbe", weight: 1, fillColor: "#2b8cbe", fillOpacity: 0.35 }),
+  });
+}
+
 function createShakingVisualLayer() {
   return L.esri.imageMapLayer({
     url: SERVICES.SHAKING_IMAGESERVER,
@@ -662,37 +972,45 @@ function createEvChargersLayer(map) {
   7) DISTANCE HELPERS (Turf)
 ============================================================================ */
 
-function getDistanceToPolygonEdge(clickLatLng, feature) {
+// Closest point on a polygon's boundary: { dist (miles), at: [lat, lng] }, or null.
+function nearestPolygonEdgePoint(clickLatLng, feature) {
   const point = turf.point([clickLatLng.lng, clickLatLng.lat]);
   const geom = feature.geometry;
   let line;
-  if (geom.type === "Polygon") line = turf.polygonToLine(turf.polygon(geom.coordinates));
-  else if (geom.type === "MultiPolygon") line = turf.polygonToLine(turf.multiPolygon(geom.coordinates));
-  else return NaN;
+  if (geom?.type === "Polygon") line = turf.polygonToLine(turf.polygon(geom.coordinates));
+  else if (geom?.type === "MultiPolygon") line = turf.polygonToLine(turf.multiPolygon(geom.coordinates));
+  else return null;
   const nearestPoint = turf.nearestPointOnLine(line, point);
-  return turf.distance(point, nearestPoint, { units: "miles" }).toFixed(2);
+  const [lng, lat] = nearestPoint.geometry.coordinates;
+  return { dist: turf.distance(point, nearestPoint, { units: "miles" }), at: [lat, lng] };
+}
+
+const COMPASS_POINTS = ["north", "northeast", "east", "southeast", "south", "southwest", "west", "northwest"];
+
+// Eight-point compass word for the bearing from a latlng to a [lat, lng].
+function compassDirection(fromLatLng, at) {
+  const bearing = turf.bearing(turf.point([fromLatLng.lng, fromLatLng.lat]), turf.point([at[1], at[0]]));
+  return COMPASS_POINTS[Math.round((bearing + 360) / 45) % 8];
 }
 
-function getDistanceToLineMiles(clickLatLng, feature) {
+// { dist (miles), at: [lat, lng] } to the closest part of a feature: polygon
+// boundary, line or point. null for other geometry.
+function nearestPointOnFeature(clickLatLng, feature) {
+  const geom = feature?.geometry;
+  if (geom?.type === "Polygon" || geom?.type === "MultiPolygon") return nearestPolygonEdgePoint(clickLatLng, feature);
   const pt = turf.point([clickLatLng.lng, clickLatLng.lat]);
+  let target;
+  if (geom?.type === "Point") target = turf.point(geom.coordinates);
+  else if (geom?.type === "LineString" || geom?.type === "MultiLineString") target = turf.nearestPointOnLine(turf.feature(geom), pt);
+  else return null;
+  const [lng, lat] = target.geometry.coordinates;
+  return { dist: turf.distance(pt, target, { units: "miles" }), at: [lat, lng] };
+}
+
+function getDistanceToPointMiles(clickLatLng, feature) {
   const geom = feature?.geometry;
-  if (!geom) return NaN;
-  if (geom.type === "LineString") {
-    const line = turf.lineString(geom.coordinates);
-    const nearest = turf.nearestPointOnLine(line, pt, { units: "miles" });
-    return Number(nearest?.properties?.dist);
-  }
-  if (geom.type === "MultiLineString") {
-    let best = Infinity;
-    for (const coords of geom.coordinates) {
-      const line = turf.lineString(coords);
-      const nearest = turf.nearestPointOnLine(line, pt, { units: "miles" });
-      const d = Number(nearest?.properties?.dist);
-      if (Number.isFinite(d) && d < best) best = d;
-    }
-    return best === Infinity ? NaN : best;
-  }
-  return NaN;
+  if (!geom || geom.type !== "Point") return NaN;
+  return turf.distance(turf.point([clickLatLng.lng, clickLatLng.lat]), turf.point(geom.coordinates), { units: "miles" });
 }
 
 function findBestFaultName(props) {
@@ -709,44 +1027,131 @@ function findBestFaultName(props) {
   return null;
 }
 
-function queryFaultLayerNearby(faultFeatureLayer, latlng, meters) {
-  return new Promise((resolve) => {
-    if (!faultFeatureLayer?.query) return resolve({ err: "No query()", fc: null });
-
-    const degOffset = meters / 111320;
-    const sw = L.latLng(latlng.lat - degOffset, latlng.lng - degOffset);
-    const ne = L.latLng(latlng.lat + degOffset, latlng.lng + degOffset);
-    const bounds = L.latLngBounds(sw, ne);
-
-    faultFeatureLayer
-      .query()
-      .within(bounds)
-      .returnGeometry(true)
-      .run((err, fc) => resolve({ err, fc }));
-  });
+// Recency of last movement, most recent first. `match` is tried against the
+// age attribute (CGS wording or USGS-style "<15,000" years).
+const FAULT_RECENCY = [
+  { key: "historic",   label: "Historic (< 150 yr)",           color: "var(--haz-red)",    match: /historic|<\s*150\b/i },
+  { key: "holocene",   label: "Holocene (< 15,000 yr)",        color: "var(--haz-orange)", match: /holocene|latest\s+quaternary|<\s*15,?000\b/i },
+  { key: "late",       label: "Late Quaternary (< 130,000 yr)", color: "var(--haz-yellow)", match: /late\s+quaternary|<\s*130,?000\b/i },
+  { key: "quaternary", label: "Quaternary (< 1.6 Myr)",        color: "#94b4c8",           match: /quaternary|<\s*(750,?000|1\.6)/i },
+];
+
+function faultRecency(age) {
+  if (!age) return null;
+  return FAULT_RECENCY.find((r) => !/pre-?\s*quaternary/i.test(age) && r.match.test(age)) || null;
+}
+
+function _faultAttr(props, hints) {
+  const key = pickBestKey(props, hints, { strict: true });
+  const v = key ? String(props[key]).trim() : "";
+  return v || null;
+}
+
+function _faultKey(feature) {
+  return (findBestFaultName(feature.properties) || "Unnamed / Unknown").toLowerCase();
 }
 
-async function getNearestFaultInfo(faultsGroupLayer, latlng) {
+// The `limit` nearest distinct faults within the proximity search radius,
+// nearest first. Segments sharing a name (across both CGS layers) merge into
+// one entry that keeps the closest segment's age and slip sense:
+//   { name, dist, age, recency, slip, layers: ["regional" | "local"], source: { url, feature } }
+async function getNearestFaults(faultsGroupLayer, latlng, signal, limit = UI.NEAREST_FAULTS) {
   const regional = faultsGroupLayer?._regional;
   const local    = faultsGroupLayer?._local;
-  if (!regional || !local) return { name: null, dist: null };
+  if (!regional || !local) return [];
 
-  const [r1, r2] = await Promise.all([
-    queryFaultLayerNearby(regional, latlng, UI.NEARBY_METERS),
-    queryFaultLayerNearby(local,    latlng, UI.NEARBY_METERS),
-  ]);
+  // Either layer failing fails the search: half an answer could name the wrong fault.
+  const found = await proximitySearch([regional, local], latlng, {
+    signal,
+    enough: (list) => new Set(list.map((c) => _faultKey(c.feature))).size >= limit,
+  });
 
-  const features = [...(r1.fc?.features || []), ...(r2.fc?.features || [])];
-  if (!features.length) return { name: null, dist: null };
+  const byName = new Map();
+  for (const { dist, url, feature } of found) {   // nearest first
+    const layer = url === SERVICES.FAULTS_REGIONAL_QUAT ? "regional" : "local";
+    const age = _faultAttr(feature.properties, FAULT_AGE_HINTS);
+    const slip = _faultAttr(feature.properties, FAULT_SLIP_HINTS);
+    const seen = byName.get(_faultKey(feature));
+    if (!seen) {
+      const name = findBestFaultName(feature.properties) || "Unnamed / Unknown";
+      byName.set(_faultKey(feature), { name, dist, age, slip, layers: [layer], source: { url, feature } });
+      continue;
+    }
+    if (!seen.layers.includes(layer)) seen.layers.push(layer);
+    seen.age = seen.age || age;
+    seen.slip = seen.slip || slip;
+  }
 
-  let best = null;
-  for (const f of features) {
-    const d = getDistanceToLineMiles(latlng, f);
-    if (!Number.isFinite(d)) continue;
-    if (!best || d < best.dist) best = { dist: d, name: findBestFaultName(f.properties) || "Unnamed / Unknown" };
+  return [...byName.values()]
+    .slice(0, limit)
+    .map((f) => ({ ...f, recency: faultRecency(f.age)?.key ?? null }));
+}
+
+/* ============================================================================
+  7b) PROXIMITY SEARCH (geodesic radius, expanding rings)
+============================================================================ */
+
+// Query envelope that contains the whole geodesic circle. A degree of
+// longitude shrinks with cos(latitude), so the box is wider than it is tall;
+// the latitude side uses the shortest degree (equator) so it never falls short.
+function geodesicBounds(latlng, meters) {
+  const dLat = meters / 110574;
+  const dLng = meters / (111320 * Math.cos(latlng.lat * Math.PI / 180));
+  return L.latLngBounds([latlng.lat - dLat, latlng.lng - dLng], [latlng.lat + dLat, latlng.lng + dLng]);
+}
+
+// Calls fn(feature) for every feature of `layer` intersecting `bounds`, one
+// page of PROXIMITY.PAGE_SIZE at a time, so a dense ring is never held in
+// memory all at once. The next page starts after the features actually
+// returned, since a service may cap pages below the requested size.
+// Rejects with the service error.
+async function _streamFeatures(layer, bounds, signal, fn) {
+  for (let offset = 0; ;) {
+    const { err, fc, res } = await new Promise((resolve) => {
+      abortWith(signal, layer.query()
+        .intersects(bounds)
+        .returnGeometry(true)
+        .precision(PROXIMITY.PRECISION)
+        .limit(PROXIMITY.PAGE_SIZE)
+        .offset(offset)
+        .run((err, fc, res) => resolve({ err, fc, res })));
+    });
+    if (err) throw err;
+    const features = fc?.features || [];
+    features.forEach(fn);
+    offset += features.length;
+    if (!features.length || signal?.aborted) return;
+    if (features.length < PROXIMITY.PAGE_SIZE && !res?.exceededTransferLimit) return;
   }
+}
 
-  return best ? { name: best.name, dist: best.dist } : { name: null, dist: null };
+// Furthest distance a nearest-feature search reaches, in whole miles.
+function proximityMaxMiles() {
+  return Math.round(PROXIMITY.RINGS_METERS[PROXIMITY.RINGS_METERS.length - 1] / 1609.344);
+}
+
+// Features of `layers` whose nearest part lies within a geodesic radius of
+// the point. Rings of PROXIMITY.RINGS_METERS are searched in turn, stopping at
+// the first where `enough(found)` holds (by default: anything found), so
+// nothing beyond that ring's radius is ever reported. Resolves the matches,
+// nearest first, as [{ dist (miles), at: [lat, lng], url, feature }]; only the
+// feature's id and properties are kept.
+async function proximitySearch(layers, latlng, { signal, accept = () => true, enough = (found) => found.length > 0 } = {}) {
+  let found = [];
+  for (const meters of PROXIMITY.RINGS_METERS) {
+    const miles = meters / 1609.344;
+    const bounds = geodesicBounds(latlng, meters);
+    found = [];
+    await Promise.all(layers.map((layer) => _streamFeatures(layer, bounds, signal, (f) => {
+      if (!accept(f)) return;
+      const near = nearestPointOnFeature(latlng, f);
+      if (!near || !(near.dist <= miles)) return;
+      found.push({ ...near, url: layer.options.url, feature: { type: "Feature", id: f.id, properties: f.properties } });
+    })));
+    found.sort((a, b) => a.dist - b.dist);
+    if (signal?.aborted || enough(found)) break;
+  }
+  return found;
 }
 
 /* ============================================================================
@@ -770,7 +1175,7 @@ function makeZoomGatedLayer(map, innerLayer, minZoom) {
 }
 
 /* ============================================================================
-  9) UI CONTROLS (Zoom + Home + Legend)
+  9) UI CONTROLS (Zoom + Home + Search + Legend)
 ============================================================================ */
 
 function addZoomControl(map) {
@@ -821,6 +1226,150 @@ function addHomeButton(map) {
   homeButton.addTo(map);
 }
 
+// Parses "lat, lng" style input (comma or space separated, optional N/S/E/W
+// suffixes). Returns an L.LatLng or null.
+function parseCoordinateQuery(text) {
+  const m = String(text).trim().match(
+    /^(-?\d+(?:\.\d+)?)\s*°?\s*([NS])?\s*[,\s]\s*(-?\d+(?:\.\d+)?)\s*°?\s*([EW])?$/i
+  );
+  if (!m) return null;
+  let lat = Number(m[1]);
+  let lng = Number(m[3]);
+  if (m[2] && m[2].toUpperCase() === "S") lat = -Math.abs(lat);
+  if (m[4] && m[4].toUpperCase() === "W") lng = -Math.abs(lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return L.latLng(lat, lng);
+}
+
+const _nominatimQueue = createRateLimiter(GEOCODER.MIN_INTERVAL_MS);
+
+// GET + JSON through the shared Nominatim queue.
+function nominatimJSON(url, signal) {
+  return _nominatimQueue.schedule(async () => (await fetch(url, { signal })).json(), signal);
+}
+
+// Forward geocode against the configured provider. Resolves [{ label, latlng }].
+async function forwardGeocode(text, signal) {
+  const [minLng, minLat, maxLng, maxLat] = GEOCODER.VIEWBOX;
+  const q = encodeURIComponent(text);
+  if (GEOCODER.PROVIDER === "pelias") {
+    const url = `${GEOCODER.SEARCH_URL}?text=${q}&size=${GEOCODER.MAX_RESULTS}` +
+      `&boundary.rect.min_lon=${minLng}&boundary.rect.min_lat=${minLat}&boundary.rect.max_lon=${maxLng}&boundary.rect.max_lat=${maxLat}`;
+    const data = await (await fetch(url, { signal })).json();
+    return (data.features || []).map((f) => ({
+      label: f.properties?.label || f.properties?.name || "Unnamed result",
+      latlng: L.latLng(f.geometry.coordinates[1], f.geometry.coordinates[0]),
+    }));
+  }
+  const url = `${GEOCODER.SEARCH_URL}?q=${q}&format=json&limit=${GEOCODER.MAX_RESULTS}` +
+    `&countrycodes=us&viewbox=${minLng},${maxLat},${maxLng},${minLat}&bounded=1`;
+  const data = await nominatimJSON(url, signal);
+  return (Array.isArray(data) ? data : []).map((d) => ({
+    label: d.display_name,
+    latlng: L.latLng(Number(d.lat), Number(d.lon)),
+  }));
+}
+
+// Address / place / coordinate search box with autocomplete. onSelect(latlng)
+// is called once the user picks a result (or enters raw coordinates).
+function addSearchControl(map, onSelect) {
+  const SearchControl = L.Control.extend({
+    options: { position: "topleft" },
+    onAdd: function () {
+      const c = L.DomUtil.create("div", "leaflet-bar gm-search");
+      c.innerHTML = `
+        <input type="search" class="gm-search-input" placeholder="Search address, place or lat, lng"
+               aria-label="Search address, place or coordinates" autocomplete="off" />
+        <ul class="gm-search-results hidden" role="listbox"></ul>
+      `;
+      const input = c.querySelector(".gm-search-input");
+      const list  = c.querySelector(".gm-search-results");
+      let items = [];
+      let active = -1;
+      let inflight = null;
+
+      function closeList() {
+        list.classList.add("hidden");
+        list.innerHTML = "";
+        items = [];
+        active = -1;
+      }
+
+      function renderList(message) {
+        list.innerHTML = "";
+        if (message) {
+          const li = document.createElement("li");
+          li.className = "gm-search-empty";
+          li.textContent = message;
+          list.appendChild(li);
+        }
+        items.forEach((item, i) => {
+          const li = document.createElement("li");
+          li.className = i === active ? "active" : "";
+          li.setAttribute("role", "option");
+          li.textContent = item.label;
+          li.addEventListener("mousedown", (ev) => { ev.preventDefault(); choose(item); });
+          list.appendChild(li);
+        });
+        list.classList.toggle("hidden", !message && !items.length);
+      }
+
+      function choose(item) {
+        input.value = item.label;
+        closeList();
+        map.flyTo(item.latlng, Math.max(map.getZoom(), GEOCODER.FLY_ZOOM));
+        onSelect(item.latlng);
+      }
+
+      const search = debounce(() => {
+        const text = input.value.trim();
+        if (inflight) inflight.abort();
+        if (text.length < GEOCODER.MIN_QUERY_CHARS || parseCoordinateQuery(text)) { closeList(); return; }
+        inflight = new AbortController();
+        forwardGeocode(text, inflight.signal)
+          .then((results) => {
+            items = results;
+            active = -1;
+            renderList(results.length ? "" : "No matches in California");
+          })
+          .catch((err) => {
+            if (err?.name === "AbortError") return;
+            console.warn("Geocoder search error:", err);
+            items = [];
+            renderList("Search is unavailable right now");
+          });
+      }, GEOCODER.DEBOUNCE_MS);
+
+      input.addEventListener("input", search);
+      input.addEventListener("keydown", (ev) => {
+        if (ev.key === "ArrowDown" && items.length) {
+          ev.preventDefault();
+          active = (active + 1) % items.length;
+          renderList();
+        } else if (ev.key === "ArrowUp" && items.length) {
+          ev.preventDefault();
+          active = (active - 1 + items.length) % items.length;
+          renderList();
+        } else if (ev.key === "Enter") {
+          ev.preventDefault();
+          const coords = parseCoordinateQuery(input.value);
+          if (coords) choose({ label: input.value.trim(), latlng: coords });
+          else if (items.length) choose(items[Math.max(active, 0)]);
+        } else if (ev.key === "Escape") {
+          closeList();
+          input.blur();
+        }
+      });
+      input.addEventListener("blur", () => setTimeout(closeList, 150));
+
+      L.DomEvent.disableScrollPropagation(c);
+      L.DomEvent.disableClickPropagation(c);
+      return c;
+    },
+  });
+  map.addControl(new SearchControl());
+}
+
 function addLegendControls(map) {
   // ---- Legend toggle button (topright Leaflet control) ----
   const LegendToggleControl = L.Control.extend({
@@ -903,6 +1452,21 @@ function addLegendControls(map) {
       <div style="display:flex;justify-content:space-between;font-size:0.7rem;margin-top:3px;"><span>Lower</span><span>Higher</span></div>
     </div>
 
+    <div style="margin-bottom:10px;">
+      <strong style="color:#e8eef2;font-size:0.78rem;">Dam Breach Inundation (DWR)</strong>
+      <div style="display:block;margin-top:6px;"><span style="display:inline-block;width:12px;height:12px;border-radius:2px;border:1px solid rgba(255,255,255,0.15);background:#6a51a3;margin-right:6px;vertical-align:middle;"></span><em> Flooded if a dam failed</em></div>
+    </div>
+
+    <div style="margin-bottom:10px;">
+      <strong style="color:#e8eef2;font-size:0.78rem;">Tsunami Hazard Area (CGS)</strong>
+      <div style="display:block;margin-top:6px;"><span style="display:inline-block;width:12px;height:12px;border-radius:2px;border:1px solid rgba(255,255,255,0.15);background:#2b8cbe;margin-right:6px;vertical-align:middle;"></span><em> Evacuation planning area</em></div>
+    </div>
+
+    <div style="margin-bottom:10px;">
+      <strong style="color:#e8eef2;font-size:0.78rem;">CGS Regulatory Zones</strong>
+      ${Object.values(CGS_ZONES).map((z) => `<div style="display:block;margin-top:4px;"><span style="display:inline-block;width:12px;height:12px;border-radius:2px;border:1px solid rgba(255,255,255,0.15);background:${z.color};margin-right:6px;vertical-align:middle;"></span><em> ${z.label}</em></div>`).join("")}
+    </div>
+
     <div style="margin-bottom:10px;">
       <strong style="color:#e8eef2;font-size:0.78rem;">Shaking Potential (MMI, 10% in 50 years)</strong>
       <div style="display:flex;gap:2px;margin-top:6px;">
@@ -953,80 +1517,68 @@ function addLegendControls(map) {
 }
 
 /* ============================================================================
-  10) SLIDE PANEL CONTROLLER
+  10) REPORT CARD RENDERERS
 ============================================================================ */
 
-const PanelController = (function () {
-
-  let _activeTab   = "hazards";
-  let _lastResults = null;
-  let _lastLatLng  = null;
-
-  function open()  { $("slide-panel")?.classList.remove("slide-panel-closed"); }
-  function close() { $("slide-panel")?.classList.add("slide-panel-closed"); }
+// Each renderer takes the full results object and returns the card HTML for
+// its source (or "" when there is nothing to show). Wired up in REPORT_SOURCES.
+const ReportCards = (function () {
 
-  function setCoords(latlng) {
-    _lastLatLng = latlng;
-    const el = $("panel-coords");
-    if (el) el.textContent = `${latlng.lat.toFixed(5)}° N,  ${Math.abs(latlng.lng).toFixed(5)}° W`;
-    const nameEl = $("panel-location-name");
-    if (nameEl) nameEl.textContent = "Loading...";
-  }
+  // ---- Helpers ----
 
-  function setLocationName(name) {
-    const nameEl = $("panel-location-name");
-    if (nameEl) nameEl.textContent = name || "Location Report";
+  function _card(labelText, innerHTML) {
+    return `<div class="dash-card"><div class="dash-card-label">${labelText}</div>${innerHTML}</div>`;
   }
 
-  function showLoading() {
-    $("panel-tabs")?.classList.add("hidden");
-    $("panel-footer")?.classList.add("hidden");
-    $("panel-spinner")?.classList.remove("hidden");
-    const body = $("panel-body");
-    if (body) body.innerHTML = "";
+  function _noData(msg) {
+    return `<div class="no-data-card">${msg}</div>`;
   }
 
-  function showResults(results, latlng) {
-    _lastResults = results;
-    _lastLatLng  = latlng;
-    $("panel-spinner")?.classList.add("hidden");
-    $("panel-tabs")?.classList.remove("hidden");
-    $("panel-footer")?.classList.remove("hidden");
-    _activeTab = "hazards";
-    _syncTabButtons();
-    _renderTab("hazards", results);
+  // Placeholder shown while a source's query is still in flight.
+  function skeleton(src) {
+    return `<div class="dash-card skeleton-card">
+      <div class="dash-card-label">${src.label}</div>
+      <div class="skeleton-line" style="width:45%"></div>
+      <div class="skeleton-line"></div>
+      <div class="skeleton-line" style="width:80%"></div>
+    </div>`;
   }
 
-  function _syncTabButtons() {
-    document.querySelectorAll(".panel-tab").forEach((btn) => {
-      btn.classList.toggle("active", btn.dataset.tab === _activeTab);
-    });
+  function _retryButton(src) {
+    return `<button class="source-retry-btn" data-source="${src.id}">&#x21BB; Retry</button>`;
   }
 
-  function _switchTab(tab) {
-    if (!_lastResults) return;
-    _activeTab = tab;
-    _syncTabButtons();
-    _renderTab(tab, _lastResults);
+  function outsideCoverage() {
+    return `<div class="no-data-card outside-coverage-card">
+      <strong>Outside coverage area.</strong> This point is outside California, so no report was run.
+      Every dataset in this tool (CAL FIRE, FEMA for California, CGS and CalEnviroScreen) covers
+      California only. Click a location inside the state to generate a report.
+    </div>`;
   }
 
-  function _renderTab(tab, r) {
-    const body = $("panel-body");
-    if (!body) return;
-    body.innerHTML = "";
-    if (tab === "hazards") _renderHazards(body, r);
-    if (tab === "air")     _renderAir(body, r);
-    if (tab === "geology") _renderGeology(body, r);
+  function timedOut(src) {
+    return `<div class="no-data-card source-timeout-card">
+      <strong>${src.label}</strong>: source timed out. The service did not respond in time,
+      so this section could not be loaded. ${_retryButton(src)}
+    </div>`;
   }
 
-  // ---- Helpers ----
-
-  function _card(labelText, innerHTML) {
-    return `<div class="dash-card"><div class="dash-card-label">${labelText}</div>${innerHTML}</div>`;
+  // The service answered with an error, which says nothing about the hazard
+  // here, so this must never look like the "no data" card.
+  function sourceError(src) {
+    return `<div class="no-data-card source-timeout-card source-error-card">
+      <strong>${src.label}</strong>: source unavailable. The service returned an error,
+      so this section could not be loaded. ${_retryButton(src)}
+    </div>`;
   }
 
-  function _noData(msg) {
-    return `<div class="no-data-card">${msg}</div>`;
+  // One facility lookup failed while the others answered.
+  function facilityUnavailable(type) {
+    const src = REPORT_SOURCES.find((s) => s.id === "facilities");
+    return `<div class="no-data-card source-timeout-card source-error-card">
+      <strong>Nearest ${type.noun}</strong>: lookup unavailable. The service returned an error,
+      so this could not be checked. ${_retryButton(src)}
+    </div>`;
   }
 
   function _fireBadgeClass(zone) {
@@ -1075,8 +1627,6 @@ const PanelController = (function () {
     return c[v] || "#444";
   }
 
-  const LANDSLIDE_ORDER = ["I","II","III","IV","V","VI","VII","VIII","IX","X"];
-
   function _landslideIndex(roman) { return LANDSLIDE_ORDER.indexOf(roman); }
 
   function _landslideColor(idx) {
@@ -1085,60 +1635,226 @@ const PanelController = (function () {
     return "var(--haz-green)";
   }
 
+  // ---- SOURCE FOOTER (provenance) ----
+
+  function _fmtDate(ts) {
+    return new Date(ts).toLocaleDateString([], { dateStyle: "medium" });
+  }
+
+  function _fmtDateTime(ts) {
+    return new Date(ts).toLocaleString([], { dateStyle: "medium", timeStyle: "short" });
+  }
+
+  // One line per service: host/path link, layer, features used, dataset date.
+  function citationLines(prov) {
+    return (prov?.services || []).map((svc) => ({
+      url: svc.url,
+      detail: [
+        `Layer ${svc.layerId ?? "n/a"}`,
+        svc.objectIds.length ? `Feature ID ${svc.objectIds.join(", ")}` : "No feature matched",
+        svc.editDate ? `Dataset edited ${_fmtDate(svc.editDate)}`
+          : svc.editDateUnavailable ? "Edit date unavailable" : "Edit date not published",
+      ].join(" · "),
+    }));
+  }
+
+  // Expandable "Source" footer under a source's card(s).
+  function provenance(prov) {
+    const lines = citationLines(prov);
+    if (!lines.length) return "";
+    return `<details class="source-footer">
+      <summary>Source</summary>
+      ${lines.map((l) => `
+        <div class="source-footer-service">
+          <a href="${l.url}" target="_blank" rel="noopener">${l.url.replace(/^https?:\/\//, "")}</a>
+          <div>${l.detail}</div>
+        </div>`).join("")}
+      <div class="source-footer-time">Queried ${_fmtDateTime(prov.queriedAt)}</div>
+    </details>`;
+  }
+
+  // ---- COMPOSITE HAZARD INDEX (above the tabs) ----
+
+  function _indexBand(score) {
+    if (score >= 80) return "Very High";
+    if (score >= 60) return "High";
+    if (score >= 40) return "Moderate";
+    return "Low";
+  }
+
+  // `ix` comes from HazardIndex.compute(); `pending` = sources still loading.
+  function hazardIndex(ix, pending = 0) {
+    const note = pending ? `<div class="dash-card-sub">Updating, ${pending} source${pending > 1 ? "s" : ""} still loading...</div>` : "";
+    if (ix.score === null) {
+      return _card("composite hazard index", `${note || '<div class="dash-card-sub">No components available for this location.</div>'}`);
+    }
+    const score = Math.round(ix.score);
+    const rows = ix.parts.map((p) => `
+      <div class="pct-row${p.points === null ? " index-row-missing" : ""}">
+        <div class="pct-name" title="${p.value}">${p.label}</div>
+        <div class="pct-track"><div class="pct-fill" style="width:${Math.min(100, p.points ?? 0)}%;background:${_pctBarColor((p.level ?? 0) * 100)}"></div></div>
+        <div class="pct-val">${p.points === null ? "n/a" : `+${p.points.toFixed(1)}`}</div>
+      </div>
+    `).join("");
+    const weights = ix.parts.map((p) => `${p.label} ${p.weight}`).join(" · ");
+    return _card("composite hazard index", `
+      <div style="display:flex;align-items:baseline;gap:8px;">
+        <span class="dash-card-value">${score}</span>
+        <span class="dash-card-sub" style="margin:0;">/ 100 · ${_indexBand(score)}</span>
+      </div>
+      ${note}
+      <div class="severity-track"><div class="severity-fill" style="width:${score}%;background:${_pctBarColor(score)}"></div></div>
+      <details class="index-breakdown">
+        <summary>Breakdown</summary>
+        ${rows}
+        <div class="dash-card-explain">
+          Each hazard is scaled from 0 (lowest) to 1 (highest) and weighted; the points above add up
+          to the score. Components without data are left out. Weights: ${weights}.
+          This is a screening aid, not an insurance or engineering rating.
+        </div>
+      </details>
+    `);
+  }
+
   // ---- HAZARDS TAB ----
 
-  function _renderHazards(body, r) {
-    let fireHTML;
-    if (r.fire.zone) {
-      const pct   = _fireSeverityPct(r.fire.zone);
-      const color = _fireSeverityColor(r.fire.zone);
-      fireHTML = _card("fire hazard severity", `
+  function _fireDesignationRow(d) {
+    const code = Object.keys(FIRE_HAZARD.RESPONSIBILITY).find((k) => FIRE_HAZARD.RESPONSIBILITY[k] === d.responsibility) || d.area;
+    const resp = d.responsibility ? `${d.responsibility} Responsibility Area (${code})` : d.area;
+    return `
+      <div class="zone-designation">
+        <span class="haz-badge ${_fireBadgeClass(d.zone)}">${d.zone}</span>
+        <div>
+          <div class="zone-designation-area">${resp}</div>
+          <div class="fault-dist-text">${[`Zone: ${d.zone}`, d.mapDate].filter(Boolean).join(" · ")}</div>
+        </div>
+      </div>`;
+  }
+
+  function _fireNearestText(f) {
+    return `<strong>${f.nearestZone}</strong> begins about <strong>${f.nearestDist} mi</strong>${f.nearestDir ? ` ${f.nearestDir}` : ""}`;
+  }
+
+  function fire(r) {
+    const f = r.fire;
+    if (f.zone) {
+      const pct   = _fireSeverityPct(f.zone);
+      const color = _fireSeverityColor(f.zone);
+      const designations = f.designations;
+      const searchMiles = proximityMaxMiles();
+      const next = f.nearestZone
+        ? `; ${_fireNearestText(f)}.`
+        : (f.zone === "Very High" ? ", the highest severity class." : `. No more severe zone is mapped within ${searchMiles} miles.`);
+      return _card("fire hazard severity", `
         <div style="display:flex;align-items:center;justify-content:space-between;margin-bottom:8px;">
-          <span class="haz-badge ${_fireBadgeClass(r.fire.zone)}">${r.fire.zone}</span>
-          <span style="font-size:0.7rem;color:var(--panel-text-muted)">${r.fire.area || ""} zone</span>
+          <span class="haz-badge ${_fireBadgeClass(f.zone)}">${f.zone}</span>
+          <span style="font-size:0.7rem;color:var(--panel-text-muted)">${designations.length > 1 ? `${designations.length} designations` : `${f.area || ""} zone`}</span>
         </div>
         <div class="severity-track"><div class="severity-fill" style="width:${pct}%;background:${color}"></div></div>
         <div class="severity-labels"><span>Moderate</span><span>High</span><span>Very High</span></div>
+        <div class="dash-card-sub" style="margin:8px 0 0;">You are in <strong>${f.zone}</strong>${next}</div>
+        ${designations.map(_fireDesignationRow).join("")}
         <div class="dash-card-explain">
-          This location falls within a <strong>${r.fire.zone}</strong> Fire Hazard Severity Zone
-          (${r.fire.area || "CAL FIRE"}). These zones are mapped by CAL FIRE based on fuels, terrain, and
-          typical fire weather conditions. They are used to guide building standards, defensible space
-          requirements, and emergency planning. Being in a Very High zone means this area has the highest
-          potential fire behavior and threat to life and property.
+          Fire Hazard Severity Zones are mapped by CAL FIRE based on fuels, terrain, and typical fire
+          weather conditions, separately for the State Responsibility Area (SRA) and Local Responsibility
+          Area (LRA), so a point can carry more than one designation. They are used to guide building
+          standards, defensible space requirements, and emergency planning. Being in a Very High zone
+          means this area has the highest potential fire behavior and threat to life and property.
         </div>
       `);
-    } else if (r.fire.nearestZone) {
-      fireHTML = _card("fire hazard severity", `
+    }
+    if (f.nearestZone) {
+      return _card("fire hazard severity", `
         <span class="haz-badge haz-badge-gray">Outside mapped zones</span>
         <div class="dash-card-explain" style="margin-top:8px;">
           This location is not within a mapped Fire Hazard Severity Zone.
-          The nearest zone, <strong>${r.fire.nearestZone}</strong>, is approximately
-          <strong>${r.fire.nearestDist} mi</strong> away. Fire Hazard Severity Zones are mapped
+          The nearest zone, ${_fireNearestText(f)}. Fire Hazard Severity Zones are mapped
           by CAL FIRE and cover the State Responsibility Area (SRA) and Local Responsibility Area (LRA).
           Areas outside these zones may still face fire risk, but are not subject to the same mandatory
           defensible space or building standard requirements.
         </div>
       `);
-    } else {
-      fireHTML = _noData("No fire hazard zone data available for this location.");
     }
-    body.insertAdjacentHTML("beforeend", fireHTML);
+    return _noData("No fire hazard zone data available for this location.");
+  }
+
+  function _floodExplain(f) {
+    const code = f.fldZone || "";
+    if (f.coastal) {
+      return `This is a coastal high hazard area (zone ${code.startsWith("V") ? code : "V"}): the 1% annual chance
+        flood also brings storm-driven waves of 3 ft or more. New buildings must be elevated on piles or
+        columns with the lowest horizontal structural member at or above the base flood elevation, and
+        fill may not be used for structural support.`;
+    }
+    if (code.startsWith("A")) {
+      const detail = {
+        AE: "Zone AE was mapped with a detailed study and has a published base flood elevation.",
+        AO: "Zone AO is shallow sheet flow on sloping ground; FEMA publishes a flood depth (usually 1-3 ft) instead of an elevation.",
+        AH: "Zone AH is shallow ponding; FEMA publishes a base flood elevation for the ponded water (usually 1-3 ft deep).",
+        A:  "Zone A was mapped by approximate methods, so no base flood elevation is published.",
+      }[code] || "";
+      return `This is a riverine or shallow flooding area with a 1% annual chance of flooding (the
+        "100-year floodplain"), a 26% chance over a 30-year mortgage. ${detail}
+        ${/floodway/i.test(f.zoneLabel || f.zone || "") ? "It is also in the regulatory floodway, the active channel where even minor development can raise flood levels upstream and downstream." : ""}`;
+    }
+    if (f.zoneLabel === "X (shaded)") {
+      return `Zone X (shaded) has a 0.2% annual chance of flooding (the "500-year floodplain"), or is a 1%
+        area with average depths under 1 ft or protected by a levee. Risk is moderate rather than minimal.`;
+    }
+    if (code === "D") {
+      return "Zone D means flood hazard is possible but has not been studied, so the risk is undetermined rather than low.";
+    }
+    return `This location is within <strong>${f.zone}</strong> according to FEMA's National Flood Hazard
+      Layer (NFHL). The 1% Annual Chance Flood Hazard (also called the "100-year floodplain") means there
+      is a 1% chance of flooding in any given year and a 26% chance over a 30-year mortgage. The 0.2% zone
+      represents lower probability but still meaningful risk. Floodway designations indicate the active
+      channel where even minor development can increase flood risk upstream and downstream.`;
+  }
+
+  function _floodMeasure(v, f) {
+    return `${v} ${f.unit || "ft"}`;
+  }
 
-    let floodHTML;
-    if (r.flood.zone) {
-      floodHTML = _card("flood hazard zone", `
-        <div style="margin-bottom:8px;"><span class="haz-badge ${_floodBadgeClass(r.flood.zone)}">${r.flood.zone}</span></div>
+  function flood(r) {
+    const f = r.flood;
+    if (f.zone) {
+      const overlaps = f.overlaps || [];
+      const rows = [
+        ["FEMA zone", f.zoneLabel || "Not published by this layer"],
+        ["Special Flood Hazard Area", f.sfha == null ? "Unknown" : (f.sfha ? "Yes" : "No")],
+        f.bfe != null ? ["Base flood elevation", `${_floodMeasure(f.bfe, f)}${f.datum ? ` (${f.datum})` : ""}`] : null,
+        f.depth != null ? ["Flood depth", _floodMeasure(f.depth, f)] : null,
+      ].filter(Boolean);
+      let insurance = "Unknown: this layer does not say whether the point is in an SFHA.";
+      if (f.insuranceRequired === true) insurance = "Mandatory for buildings with a federally backed or regulated mortgage (SFHA).";
+      if (f.insuranceRequired === false) insurance = "Not federally required here, though lenders may still ask for it.";
+      return _card("flood hazard zone", `
+        <div style="display:flex;align-items:center;justify-content:space-between;margin-bottom:8px;">
+          <span class="haz-badge ${_floodBadgeClass(f.zone)}">${f.zone}</span>
+          ${f.zoneLabel ? `<span style="font-size:0.7rem;color:var(--panel-text-muted)">Zone ${f.zoneLabel}</span>` : ""}
+        </div>
         <div class="dash-card-explain">
-          This location is within <strong>${r.flood.zone}</strong> according to FEMA's National Flood
-          Hazard Layer (NFHL). The 1% Annual Chance Flood Hazard (also called the "100-year floodplain")
-          means there is a 1% chance of flooding in any given year and a 26% chance over a 30-year
-          mortgage. The 0.2% zone represents lower probability but still meaningful risk. Floodway
-          designations indicate the active channel where even minor development can increase flood risk
-          upstream and downstream. These zones are used to determine federal flood insurance requirements.
+          ${rows.map(([k, v]) => `<strong>${k}:</strong> ${v}`).join("<br>")}
+        </div>
+        <div class="flood-insurance ${f.insuranceRequired ? "flood-insurance-required" : ""}">
+          <strong>Federal flood insurance:</strong> ${insurance}
         </div>
+        ${overlaps.length > 1 ? `
+          <div class="dash-card-sub" style="margin:8px 0 0;">${overlaps.length} overlapping flood areas at this point:</div>
+          ${overlaps.map((d) => `
+            <div class="zone-designation">
+              <span class="haz-badge ${_floodBadgeClass(d.zone)}">${d.label || "—"}</span>
+              <div>
+                <div class="zone-designation-area">${d.zone || "Unclassified"}</div>
+                ${d.label ? `<div class="fault-dist-text">Zone ${d.label}</div>` : ""}
+                ${d.bfe != null || d.depth != null ? `<div class="fault-dist-text">${d.bfe != null ? `BFE ${_floodMeasure(d.bfe, d)}` : `Depth ${_floodMeasure(d.depth, d)}`}</div>` : ""}
+              </div>
+            </div>`).join("")}` : ""}
+        <div class="dash-card-explain">${_floodExplain(f)}</div>
       `);
-    } else if (r.flood.nearestZone) {
-      floodHTML = _card("flood hazard zone", `
+    }
+    if (r.flood.nearestZone) {
+      return _card("flood hazard zone", `
         <span class="haz-badge haz-badge-gray">Outside mapped flood zones</span>
         <div class="dash-card-explain" style="margin-top:8px;">
           This location does not fall within a mapped FEMA flood hazard zone.
@@ -1148,53 +1864,186 @@ const PanelController = (function () {
           experience flooding from unmapped or localized drainage events.
         </div>
       `);
-    } else {
-      floodHTML = _noData("No flood hazard zone data available for this location.");
     }
-    body.insertAdjacentHTML("beforeend", floodHTML);
+    return _noData("No flood hazard zone data available for this location.");
+  }
+
+  function _faultRow(f) {
+    const recency = FAULT_RECENCY.find((x) => x.key === f.recency);
+    const layers = (f.layers || []).map((l) => (l === "regional" ? "CGS regional" : "CGS local")).join(" + ");
+    const details = [f.age ? `Last movement: ${f.age}` : "Age of last movement not recorded", f.slip ? `Slip: ${f.slip}` : null, layers || null];
+    return `
+      <div class="fault-row fault-list-row">
+        <div class="fault-dot" style="background:${recency ? recency.color : "#555"}" title="${recency ? recency.label : "Age unknown"}"></div>
+        <div>
+          <div class="fault-name-text">${f.name}</div>
+          <div class="fault-dist-text">${f.dist.toFixed(2)} mi · ${details.filter(Boolean).join(" · ")}</div>
+        </div>
+      </div>`;
+  }
 
-    let faultHTML;
+  function fault(r) {
     if (r.fault.name) {
-      faultHTML = _card("nearest mapped fault", `
-        <div class="fault-row">
-          <div class="fault-dot"></div>
-          <div>
-            <div class="fault-name-text">${r.fault.name}</div>
-            <div class="fault-dist-text">${r.fault.dist.toFixed(2)} mi to nearest mapped line</div>
-          </div>
+      const faults = r.fault.faults;
+      return _card(faults.length > 1 ? `${faults.length} nearest mapped faults` : "nearest mapped fault", `
+        ${faults.map(_faultRow).join("")}
+        <div class="fault-legend">
+          ${FAULT_RECENCY.map((x) => `<span><i style="background:${x.color}"></i>${x.label}</span>`).join("")}
         </div>
         <div class="dash-card-explain">
           The nearest mapped fault is the <strong>${r.fault.name}</strong>, approximately
-          <strong>${r.fault.dist.toFixed(2)} miles</strong> from this location. This distance is measured
-          to the closest point on the mapped fault trace. The actual rupture zone may be wider.
-          Proximity to a fault is one of the most significant factors in seismic risk. Quaternary faults
-          (those active within the last ~2.6 million years) are considered most likely to produce future
-          earthquakes. Distance alone doesn't capture everything, fault type, local geology, and soil
-          conditions all affect shaking intensity at any given point.
+          <strong>${r.fault.dist.toFixed(2)} miles</strong> from this location. Distances are measured
+          to the closest point on each mapped trace, with segments of the same fault merged. The actual
+          rupture zone may be wider. Faults that moved more recently (historic and Holocene) are
+          considered most likely to produce future earthquakes. Distance alone doesn't capture
+          everything, fault type, local geology, and soil conditions all affect shaking intensity at
+          any given point.
         </div>
       `);
-    } else {
-      faultHTML = _noData("No mapped faults found within 50 miles of this location.");
     }
-    body.insertAdjacentHTML("beforeend", faultHTML);
+    return _noData(`No mapped faults found within ${proximityMaxMiles()} miles of this location.`);
   }
 
-  // ---- ENVIRONMENT & HEALTH TAB ----
+  // Shared card for the CGS regulatory zones: in / out badge, nearest zone
+  // when outside, then the zone-specific explanation.
+  function _cgsZoneCard(key, status, explainInside, explainOutside) {
+    const zone = CGS_ZONES[key];
+    if (!status) return _noData(`No ${zone.label} data available for this location.`);
+    const where = status.inside
+      ? `<span class="haz-badge haz-badge-red">Inside zone</span>`
+      : `<span class="haz-badge haz-badge-gray">Outside zone</span>`;
+    let nearest = "";
+    if (!status.inside) {
+      nearest = status.nearestDist
+        ? `The nearest mapped zone is about <strong>${status.nearestDist} mi</strong>${status.nearestDir ? ` ${status.nearestDir}` : ""}.`
+        : `No zone is mapped within ${proximityMaxMiles()} miles.`;
+    }
+    return _card(zone.label.toLowerCase(), `
+      <div style="margin-bottom:8px;">${where}</div>
+      ${nearest ? `<div class="dash-card-sub" style="margin:0 0 8px;">${nearest}</div>` : ""}
+      <div class="dash-card-explain">${status.inside ? explainInside : explainOutside}</div>
+    `);
+  }
 
-  function _renderAir(body, r) {
-    const hasAny = r.air.ozone !== null || r.air.pm !== null || r.air.water !== null ||
-                   r.air.diesel !== null || r.air.pesticide !== null ||
-                   r.air.lead !== null || r.air.asthma !== null || r.air.cesScore !== null;
+  function apZone(r) {
+    return _cgsZoneCard("ap", r.zones.ap, `
+      This location is inside an <strong>Alquist-Priolo Earthquake Fault Zone</strong>. CGS draws these
+      regulatory zones around the surface traces of active faults, typically a few hundred feet to
+      about a quarter mile wide. Under the Alquist-Priolo Act, the city or county must require a
+      site-specific fault investigation before most new buildings for human occupancy are approved,
+      and no such building may be placed across an active trace. Sellers must disclose the zone to buyers.
+    `, `
+      This location is not inside an Alquist-Priolo Earthquake Fault Zone, so the Act's fault
+      investigation and disclosure requirements do not apply. A-P zones only follow faults with
+      evidence of recent surface rupture; being outside one says nothing about earthquake shaking,
+      which can be strong far from any fault.
+    `);
+  }
 
-    if (!hasAny) {
-      body.insertAdjacentHTML("beforeend", _noData("No CalEnviroScreen data found for this location. This area may not be within a mapped California census tract."));
-      return;
-    }
+  function _damBadgeClass(hazard) {
+    const rank = _damHazardRank(hazard);
+    return ["haz-badge-red", "haz-badge-orange", "haz-badge-yellow", "haz-badge-gray"][rank] || "haz-badge-gray";
+  }
 
-    if (r.air.cesScore !== null) {
-      const scoreColor = _pctBarColor(r.air.cesScore);
-      body.insertAdjacentHTML("beforeend", _card("overall calenviroscreen 4.0 score", `
-        <div style="display:flex;align-items:baseline;gap:8px;margin-bottom:8px;">
+  function dams(r) {
+    const list = r.dams.dams || [];
+    const explain = `
+      Dam owners must map the area that would flood if their dam failed with the reservoir full, and the
+      Division of Safety of Dams (DSOD) reviews these maps for emergency action plans. They show a worst-case
+      planning scenario, not a likelihood of failure. The hazard classification (Low, Significant, High,
+      Extremely High) reflects the consequences downstream if the dam failed, not the dam's condition.
+      Levee failure is not part of this dataset; levee-protected areas appear in the flood card as
+      "Area with Reduced Risk Due to Levee".
+    `;
+    if (!list.length) {
+      return _card("dam breach inundation (dwr)", `
+        <span class="haz-badge haz-badge-gray">Outside mapped dam inundation areas</span>
+        <div class="dash-card-explain" style="margin-top:8px;">
+          This location is not inside any mapped dam breach inundation area. ${explain}
+        </div>
+      `);
+    }
+    return _card(`dam breach inundation (dwr) · ${list.length} ${list.length === 1 ? "dam" : "dams"}`, `
+      ${list.map((d) => `
+        <div class="zone-designation">
+          <span class="haz-badge ${_damBadgeClass(d.hazard)}">${d.hazard || "Unclassified"}</span>
+          <div>
+            <div class="fault-name-text">${d.name}</div>
+            <div class="fault-dist-text">Hazard: ${d.hazard || "Unclassified"}</div>
+            <div class="fault-dist-text">${[d.owner ? `Owner: ${d.owner}` : "Owner not listed", d.id ? `ID ${d.id}` : null].filter(Boolean).join(" · ")}</div>
+            ${d.scenarios.length ? `<div class="fault-dist-text">${d.scenarios.join(", ")}</div>` : ""}
+          </div>
+        </div>`).join("")}
+      <div class="dash-card-explain">
+        This location is inside the mapped inundation area of ${list.length === 1 ? "this dam" : "each of these dams"}. ${explain}
+      </div>
+    `);
+  }
+
+  function tsunami(r) {
+    const t = r.tsunami;
+    if (t.inside) {
+      const exit = t.exitDist
+        ? `The nearest ground outside the mapped area is about <strong>${t.exitDist} mi ${t.exitDir}</strong>
+           (dashed line on the map). That is the shortest way out on foot if a warning is issued;
+           follow posted evacuation routes where they differ.`
+        : t.exitUnavailable
+          ? "The way out of the mapped area could not be worked out because the California outline did not load; follow posted evacuation routes."
+          : `No ground outside the mapped area was found within ${proximityMaxMiles()} miles; follow posted evacuation routes.`;
+      return _card("tsunami hazard area (cgs)", `
+        <div style="margin-bottom:8px;"><span class="haz-badge haz-badge-red">Inside tsunami hazard area</span></div>
+        <div class="dash-card-sub" style="margin:0 0 8px;">${exit}</div>
+        <div class="dash-card-explain">
+          This location is inside a Tsunami Hazard Area mapped by the California Geological Survey. These
+          areas show where a large, distant or local tsunami could flood the coast and are used for
+          evacuation planning and real-estate disclosure. Strong ground shaking near the coast, a loud roar
+          from the ocean, or an unusual drop in sea level are natural warnings: move inland or to high
+          ground right away without waiting for an official alert.
+        </div>
+      `);
+    }
+    if (t.inside === false && t.nearestDist) {
+      return _card("tsunami hazard area (cgs)", `
+        <span class="haz-badge haz-badge-gray">Outside tsunami hazard area</span>
+        <div class="dash-card-explain" style="margin-top:8px;">
+          This location is outside the mapped Tsunami Hazard Area. The nearest part of it is about
+          <strong>${t.nearestDist} mi ${t.nearestDir}</strong>. Areas outside the mapped zone are not
+          expected to flood in the tsunami scenarios CGS modeled, but stay alert when visiting the coast.
+        </div>
+      `);
+    }
+    return _noData(`No mapped tsunami hazard area within ${proximityMaxMiles()} miles of this location.`);
+  }
+
+  function seismicZones(r) {
+    const outside = `
+      CGS has mapped Seismic Hazard Zones only in parts of California, mostly the urban areas of the
+      Bay Area and Southern California, so being outside a zone may simply mean this area has not been
+      evaluated. It does not replace a site-specific geotechnical investigation.
+    `;
+    return _cgsZoneCard("liquefaction", r.zones.liquefaction, `
+      This location is inside a CGS <strong>Liquefaction Zone</strong>: past liquefaction, soil type and
+      shallow groundwater indicate that strong shaking could make the ground lose strength and behave
+      like a liquid. Under the Seismic Hazards Mapping Act, new development here needs a site-specific
+      geotechnical investigation and mitigation before permits are issued, and the zone must be disclosed
+      when the property is sold.
+    `, outside) + _cgsZoneCard("eqLandslide", r.zones.eqLandslide, `
+      This location is inside a CGS <strong>Earthquake-Induced Landslide Zone</strong>: past landslides,
+      slope, and rock strength indicate that slopes here could fail during strong shaking. Under the
+      Seismic Hazards Mapping Act, new development needs a site-specific geotechnical investigation and
+      mitigation before permits are issued, and the zone must be disclosed when the property is sold.
+    `, outside);
+  }
+
+  // ---- ENVIRONMENT & HEALTH TAB ----
+
+  // Overall CES score card followed by the indicator summary bars.
+  function cesOverview(r) {
+    let html = "";
+    if (r.air.cesScore !== null) {
+      const scoreColor = _pctBarColor(r.air.cesScore);
+      html += _card("overall calenviroscreen 4.0 score", `
+        <div style="display:flex;align-items:baseline;gap:8px;margin-bottom:8px;">
           <span class="dash-card-value">${r.air.cesScore}th</span>
           <span class="dash-card-sub" style="margin:0;">percentile statewide</span>
         </div>
@@ -1210,7 +2059,7 @@ const PanelController = (function () {
           mean a location is unsafe, but rather that it experiences more cumulative pollution burden
           than most other communities in the state.
         </div>
-      `));
+      `);
     }
 
     const summaryRows = [
@@ -1231,278 +2080,2802 @@ const PanelController = (function () {
           <div class="pct-val">${row.val}th</div>
         </div>
       `).join("");
-      body.insertAdjacentHTML("beforeend", _card("indicator summary - statewide percentiles", `
+      html += _card("indicator summary - statewide percentiles", `
         <div class="dash-card-sub" style="margin-bottom:10px;">
           Each bar shows how this census tract compares to all others statewide.
           Higher percentile = greater burden relative to other Californians.
         </div>
         ${barsHTML}
-      `));
+      `);
+    }
+    return html;
+  }
+
+  function ozone(r) {
+    if (r.air.ozone === null) return "";
+    return _card("ozone (ground-level)", `
+      <div style="display:flex;align-items:baseline;gap:8px;margin-bottom:6px;">
+        <span class="dash-card-value">${r.air.ozone}th</span>
+        <span class="dash-card-sub" style="margin:0;">percentile${r.air.ozoneRaw !== null ? " · " + r.air.ozoneRaw.toFixed(3) + " ppm" : ""}</span>
+      </div>
+      <div class="dash-card-explain">
+        Ground-level ozone forms when sunlight reacts with pollutants from cars, power plants, and
+        industrial sources. Unlike the protective ozone layer high in the atmosphere, ground-level
+        ozone irritates the airways, aggravates asthma and respiratory disease, and can reduce lung
+        function even in healthy people. This indicator summarizes warm-season (May-October) ozone
+        conditions from 2017-2019. A percentile of <strong>${r.air.ozone}</strong> means this tract
+        has higher ozone exposure than <strong>${r.air.ozone}%</strong> of California census tracts.
+      </div>
+    `);
+  }
+
+  function pm(r) {
+    if (r.air.pm === null) return "";
+    return _card("pm2.5 - fine particulate matter", `
+      <div style="display:flex;align-items:baseline;gap:8px;margin-bottom:6px;">
+        <span class="dash-card-value">${r.air.pm}th</span>
+        <span class="dash-card-sub" style="margin:0;">percentile${r.air.pmRaw !== null ? " · " + r.air.pmRaw.toFixed(2) + " µg/m³" : ""}</span>
+      </div>
+      <div class="dash-card-explain">
+        PM2.5 refers to fine particles smaller than 2.5 micrometers, about 30 times smaller than
+        a human hair. They come from combustion sources like cars, trucks, wildfires, and industry,
+        and can penetrate deep into the lungs and bloodstream. Long-term exposure is linked to
+        cardiovascular and respiratory disease, premature death, and developmental issues in children.
+        This indicator uses annual average concentrations from 2015-2017. A percentile of
+        <strong>${r.air.pm}</strong> means this tract has higher PM2.5 than
+        <strong>${r.air.pm}%</strong> of California census tracts.
+      </div>
+    `);
+  }
+
+  function diesel(r) {
+    if (r.air.diesel === null) return "";
+    return _card("diesel particulate matter (diesel pm)", `
+      <div style="display:flex;align-items:baseline;gap:8px;margin-bottom:6px;">
+        <span class="dash-card-value">${r.air.diesel}th</span>
+        <span class="dash-card-sub" style="margin:0;">percentile${r.air.dieselRaw !== null ? " · " + r.air.dieselRaw.toFixed(2) + " µg/m³" : ""}</span>
+      </div>
+      <div class="dash-card-explain">
+        Diesel PM measures emissions from diesel-powered vehicles and equipment, primarily trucks,
+        buses, trains, construction equipment, and ships. Diesel exhaust contains a complex mixture
+        of gases and fine particles that are classified as a known carcinogen by the State of California.
+        Communities near freeways, ports, rail yards, and distribution centers tend to have higher
+        diesel PM exposure. A percentile of <strong>${r.air.diesel}</strong> means this tract has
+        higher diesel PM exposure than <strong>${r.air.diesel}%</strong> of California census tracts.
+      </div>
+    `);
+  }
+
+  function pesticide(r) {
+    if (r.air.pesticide === null) return "";
+    return _card("pesticide use", `
+      <div style="display:flex;align-items:baseline;gap:8px;margin-bottom:6px;">
+        <span class="dash-card-value">${r.air.pesticide}th</span>
+        <span class="dash-card-sub" style="margin:0;">percentile${r.air.pesticideRaw !== null ? " · " + r.air.pesticideRaw.toFixed(1) + " lbs/sq mi" : ""}</span>
+      </div>
+      <div class="dash-card-explain">
+        This indicator measures total pounds of selected agricultural pesticide active ingredients
+        applied per square mile in the census tract, based on California DPR data. A high percentile
+        reflects heavy nearby agricultural pesticide use, it does not mean residents are being directly
+        exposed or are in immediate danger. The primary concern is for people with regular or
+        occupational exposure, particularly farmworkers and those living immediately adjacent to
+        treated fields. A percentile of <strong>${r.air.pesticide}</strong> means this tract has
+        higher reported pesticide use than <strong>${r.air.pesticide}%</strong> of California census tracts.
+      </div>
+    `);
+  }
+
+  function water(r) {
+    if (r.air.water === null) return "";
+    return _card("drinking water contaminants", `
+      <div style="display:flex;align-items:baseline;gap:8px;margin-bottom:6px;">
+        <span class="dash-card-value">${r.air.water}th</span>
+        <span class="dash-card-sub" style="margin:0;">percentile${r.air.waterRaw !== null ? " · raw score: " + r.air.waterRaw.toFixed(2) : ""}</span>
+      </div>
+      <div class="dash-card-explain">
+        This indicator combines contaminant levels and regulatory violations from drinking water
+        systems serving this area, based on data from 2011-2019 compliance cycles. A higher score
+        indicates a water system with more contaminant detections or more frequent violations. A
+        percentile of <strong>${r.air.water}</strong> means this tract has a higher drinking water
+        burden than <strong>${r.air.water}%</strong> of California census tracts.
+      </div>
+    `);
+  }
+
+  function lead(r) {
+    if (r.air.lead === null) return "";
+    return _card("children's lead risk from housing", `
+      <div style="display:flex;align-items:baseline;gap:8px;margin-bottom:6px;">
+        <span class="dash-card-value">${r.air.lead}th</span>
+        <span class="dash-card-sub" style="margin:0;">percentile${r.air.leadRaw !== null ? " · score: " + r.air.leadRaw.toFixed(2) : ""}</span>
+      </div>
+      <div class="dash-card-explain">
+        This indicator (new in CalEnviroScreen 4.0) estimates the risk of lead exposure for
+        children from housing, based on the age of homes and the prevalence of low-income households
+        with children under 6. There is no safe level of lead exposure for children, even low levels
+        can affect brain development, learning, and behavior. This is a risk indicator based on
+        housing characteristics, not a measurement of actual blood lead levels. A percentile of
+        <strong>${r.air.lead}</strong> means children in this tract face higher estimated lead
+        exposure risk than those in <strong>${r.air.lead}%</strong> of California census tracts.
+      </div>
+    `);
+  }
+
+  function asthma(r) {
+    if (r.air.asthma === null) return "";
+    return _card("asthma emergency department visits", `
+      <div style="display:flex;align-items:baseline;gap:8px;margin-bottom:6px;">
+        <span class="dash-card-value">${r.air.asthma}th</span>
+        <span class="dash-card-sub" style="margin:0;">percentile${r.air.asthmaRaw !== null ? " · " + r.air.asthmaRaw.toFixed(1) + " visits/10k" : ""}</span>
+      </div>
+      <div class="dash-card-explain">
+        This indicator measures age-adjusted rates of emergency department visits for asthma
+        per 10,000 residents, based on patient ZIP code data. Unlike the pollution indicators above
+        which measure exposure levels, this is a direct health outcome measure. A percentile of
+        <strong>${r.air.asthma}</strong> means this tract has higher asthma ED visit rates than
+        <strong>${r.air.asthma}%</strong> of California census tracts.
+      </div>
+    `);
+  }
+
+  // All CalEnviroScreen cards for the tract, in display order.
+  function ces(r) {
+    return [cesOverview, ozone, pm, diesel, pesticide, water, lead, asthma]
+      .map((fn) => fn(r))
+      .join("");
+  }
+
+  // ---- GEOLOGY TAB ----
+
+  function mmi(r) {
+    if (r.geo.mmi !== null) {
+      const fmt    = formatMMI(r.geo.mmi);
+      const mmiInt = fmt.intClass;
+      const boxes  = [4,5,6,7,8,9,10].map((v) =>
+        `<div class="mmi-box ${v <= mmiInt ? "" : "inactive"}" style="background:${_mmiColor(v)}"></div>`
+      ).join("");
+
+      return _card("shaking potential - mmi (10% in 50 years)", `
+        <div style="display:flex;align-items:baseline;gap:8px;margin-bottom:4px;">
+          <span class="dash-card-value">${fmt.valueStr}</span>
+          <span class="dash-card-sub" style="margin:0;">${fmt.label}</span>
+        </div>
+        <div class="mmi-scale">${boxes}</div>
+        <div class="mmi-scale-labels"><span>MMI 4 · Light</span><span>MMI 10 · Extreme</span></div>
+        <div class="dash-card-explain">
+          The Modified Mercalli Intensity (MMI) scale describes how strongly the ground shakes at a
+          specific location during an earthquake, based on estimated ground motion from historical
+          seismic data. An MMI of <strong>${fmt.valueStr} (${fmt.label})</strong> at this location is
+          the estimated intensity with a 10% probability of being exceeded over 50 years, meaning there
+          is roughly a 1-in-10 chance shaking this strong or stronger will occur here within a 50-year
+          period. At MMI VI (Strong), unsecured objects fall and minor structural damage is possible.
+          At MMI VIII+ (Severe to Extreme), major structural damage and collapse risk increases
+          significantly, especially in unreinforced masonry or older wood-frame buildings.
+        </div>
+      `);
+    }
+    return _noData("Shaking potential data is not available for this location.");
+  }
+
+  function landslide(r) {
+    if (r.geo.landslide) {
+      const idx   = _landslideIndex(r.geo.landslide);
+      const pct   = idx >= 0 ? ((idx + 1) / LANDSLIDE_ORDER.length) * 100 : 0;
+      const color = _landslideColor(idx);
+
+      return _card("landslide susceptibility (cgs)", `
+        <div style="display:flex;align-items:baseline;gap:8px;margin-bottom:8px;">
+          <span class="dash-card-value">Class ${r.geo.landslide}</span>
+          <span class="dash-card-sub" style="margin:0;">of X</span>
+        </div>
+        <div class="severity-track"><div class="severity-fill" style="width:${pct}%;background:${color}"></div></div>
+        <div class="severity-labels"><span>Class I (lowest)</span><span>Class X (highest)</span></div>
+        <div class="dash-card-explain">
+          This location falls within Landslide Susceptibility <strong>Class ${r.geo.landslide}</strong>
+          according to CGS Map Sheet 58. The classification reflects the relative likelihood of slope
+          failure based on geology, terrain steepness, and historical patterns, not an absolute
+          probability. Higher classes (VII-X) indicate terrain that is more prone to landslides,
+          debris flows, and earth movements under triggers like intense rainfall, prolonged saturation,
+          or strong earthquake shaking. It does not replace a site-specific geotechnical investigation.
+        </div>
+      `);
+    }
+    return _noData("No landslide susceptibility data found for this location.");
+  }
+
+  // ---- NEARBY FACILITIES TAB ----
+
+  function facilities(r) {
+    return FACILITY_TYPES.map((type) => {
+      const f = r.facilities[type.key];
+      if (r.facilities.unavailable?.includes(type.key)) return facilityUnavailable(type);
+      if (!f) return _noData(`No ${type.noun} found within ${(type.radius / 1609.344).toFixed(0)} miles.`);
+      const attrs = f.attrs
+        .filter(([, v]) => v !== null && v !== undefined && v !== "")
+        .map(([k, v]) => `<strong>${k}:</strong> ${v}`)
+        .join("<br>");
+      return _card(`nearest ${type.noun}`, `
+        <div class="fault-row">
+          <div class="fault-dot" style="background:${type.color}"></div>
+          <div>
+            <div class="fault-name-text">${type.icon} ${f.name}</div>
+            <div class="fault-dist-text">${f.dist.toFixed(2)} mi straight-line</div>
+          </div>
+        </div>
+        ${attrs ? `<div class="dash-card-explain">${attrs}</div>` : ""}
+      `);
+    }).join("");
+  }
+
+  // ---- AREA REPORT (drawn polygon) ----
+
+  function _shareBars(shares, colorFn) {
+    return shares.map((s) => `
+      <div class="pct-row">
+        <div class="pct-name" title="${s.zone}">${s.zone}</div>
+        <div class="pct-track"><div class="pct-fill" style="width:${Math.min(100, s.pct)}%;background:${colorFn(s.zone)}"></div></div>
+        <div class="pct-val">${s.pct.toFixed(1)}%</div>
+      </div>
+    `).join("");
+  }
+
+  function _floodShareColor(zone) {
+    const cls = _floodBadgeClass(zone);
+    if (cls === "haz-badge-red")    return "var(--haz-red)";
+    if (cls === "haz-badge-orange") return "var(--haz-orange)";
+    if (cls === "haz-badge-blue")   return "var(--haz-blue)";
+    if (cls === "haz-badge-green")  return "var(--haz-green)";
+    return "#555";
+  }
+
+  const AREA_SECTION_LABELS = {
+    fire: "Fire hazard severity", flood: "FEMA flood zones", ces: "CalEnviroScreen tracts",
+    faults: "Faults crossing the area", mmi: "Shaking potential", landslide: "Landslide susceptibility",
+  };
+
+  // Failed area section, worded and retried like a point report source.
+  // Shaking and landslide share one sampling query, so they retry together.
+  function _areaUnavailable(key) {
+    const section = key === "mmi" || key === "landslide" ? "geo" : key;
+    return sourceError({ id: `area:${section}`, label: AREA_SECTION_LABELS[key] });
+  }
+
+  function area(a) {
+    const failed = (key) => a.unavailable?.includes(key);
+    let html = _card("drawn area", `
+      <div style="display:flex;align-items:baseline;gap:8px;">
+        <span class="dash-card-value">${a.areaSqMi.toFixed(2)}</span>
+        <span class="dash-card-sub" style="margin:0;">square miles · ${a.samples} sample points</span>
+      </div>
+      <div class="dash-card-explain">
+        Zone shares are the fraction of the drawn area covered by each mapped zone; where different
+        zones overlap (an LRA and an SRA designation, stacked flood areas) they can add up to more
+        than 100%. Shaking and
+        landslide values are sampled on a grid across the area, so small pockets between sample
+        points can be missed. CalEnviroScreen values are weighted by how much of the area each
+        census tract covers.
+      </div>
+    `);
+
+    html += failed("fire") ? _areaUnavailable("fire") : a.fire.shares.length
+      ? _card("fire hazard severity - share of area", `
+          ${_shareBars(a.fire.shares, _fireSeverityColor)}
+          <div class="dash-card-sub" style="margin:6px 0 0;">${a.fire.outsidePct.toFixed(1)}% of the area is outside mapped FHSZ.</div>
+        `)
+      : _noData("No part of this area is within a mapped Fire Hazard Severity Zone.");
+
+    html += failed("flood") ? _areaUnavailable("flood") : a.flood.shares.length
+      ? _card("fema flood zones - share of area", `
+          ${_shareBars(a.flood.shares, _floodShareColor)}
+          <div class="dash-card-sub" style="margin:6px 0 0;">${a.flood.outsidePct.toFixed(1)}% of the area is outside mapped flood zones.</div>
+        `)
+      : _noData("No part of this area is within a mapped FEMA flood hazard zone.");
+
+    if (failed("mmi")) {
+      html += _areaUnavailable("mmi");
+    } else if (a.mmi) {
+      const lo = formatMMI(a.mmi.min), hi = formatMMI(a.mmi.max);
+      html += _card("shaking potential - mmi range", `
+        <div style="display:flex;align-items:baseline;gap:8px;">
+          <span class="dash-card-value">${lo.valueStr}${a.mmi.max !== a.mmi.min ? ` – ${hi.valueStr}` : ""}</span>
+          <span class="dash-card-sub" style="margin:0;">${lo.label}${a.mmi.max !== a.mmi.min ? ` to ${hi.label}` : ""}</span>
+        </div>
+      `);
+    } else {
+      html += _noData("Shaking potential data is not available for this area.");
+    }
+
+    if (failed("landslide")) {
+      html += _areaUnavailable("landslide");
+    } else if (a.landslide) {
+      html += _card("landslide susceptibility - class range", `
+        <div style="display:flex;align-items:baseline;gap:8px;">
+          <span class="dash-card-value">Class ${a.landslide.min}${a.landslide.max !== a.landslide.min ? ` – ${a.landslide.max}` : ""}</span>
+          <span class="dash-card-sub" style="margin:0;">of X</span>
+        </div>
+      `);
+    } else {
+      html += _noData("No landslide susceptibility data found for this area.");
+    }
+
+    if (failed("ces")) {
+      html += _areaUnavailable("ces");
+    } else if (a.ces.tracts.length) {
+      const rows = a.ces.tracts.map((t) => `
+        <div class="pct-row">
+          <div class="pct-name" title="${t.label}">${t.label}</div>
+          <div class="pct-track"><div class="pct-fill" style="width:${t.cesScore ?? 0}%;background:${_pctBarColor(t.cesScore ?? 0)}"></div></div>
+          <div class="pct-val">${t.cesScore !== null ? `${t.cesScore}th` : "—"}</div>
+        </div>
+        <div class="dash-card-sub" style="margin:-4px 0 8px;">${t.weightPct.toFixed(1)}% of area</div>
+      `).join("");
+      const w = a.ces.weighted;
+      html += _card("calenviroscreen tracts (area-weighted)", `
+        ${w.cesScore !== null ? `<div style="display:flex;align-items:baseline;gap:8px;margin-bottom:8px;">
+          <span class="dash-card-value">${w.cesScore.toFixed(0)}th</span>
+          <span class="dash-card-sub" style="margin:0;">area-weighted CES percentile</span>
+        </div>` : ""}
+        ${rows}
+      `);
+    } else {
+      html += _noData("No CalEnviroScreen census tracts intersect this area.");
+    }
+
+    html += failed("faults") ? _areaUnavailable("faults") : a.faults.length
+      ? _card("faults crossing the area", a.faults.map((name) => `
+          <div class="fault-row" style="margin-bottom:6px;"><div class="fault-dot"></div><div class="fault-name-text">${name}</div></div>
+        `).join(""))
+      : _noData("No mapped faults cross this area.");
+
+    return html;
+  }
+
+  return {
+    fire, flood, dams, fault, apZone, tsunami,
+    ces,
+    mmi, landslide, seismicZones,
+    facilities,
+    hazardIndex,
+    area,
+    noData: _noData,
+    skeleton, timedOut, sourceError, outsideCoverage,
+    provenance, citationLines,
+  };
+
+})();
+
+/* ============================================================================
+  11) REPORT CACHE (in-memory LRU + IndexedDB)
+============================================================================ */
+
+// Cached per source and SCHEMA_VERSION, keyed by the clicked point rounded to
+// COORD_PRECISION decimal places. Memory holds the most recent entries; IndexedDB keeps them
+// across page loads. Reads that miss memory fall through to IndexedDB.
+const ReportCache = (function () {
+
+  const STORE = "reports";
+  const _memory = new Map();   // key -> { key, values, meta, cachedAt }, oldest first
+  let _dbPromise = null;
+
+  function roundedKey(latlng) {
+    const p = REPORT_CACHE.COORD_PRECISION;
+    return `${latlng.lat.toFixed(p)},${latlng.lng.toFixed(p)}`;
+  }
+
+  function _key(sourceId, latlng) {
+    return `v${REPORT_CACHE.SCHEMA_VERSION}:${sourceId}@${roundedKey(latlng)}`;
+  }
+
+  function _remember(entry) {
+    _memory.delete(entry.key);
+    _memory.set(entry.key, entry);
+    while (_memory.size > REPORT_CACHE.MEMORY_MAX_ENTRIES) {
+      _memory.delete(_memory.keys().next().value);
+    }
+  }
+
+  function _openDb() {
+    if (_dbPromise) return _dbPromise;
+    _dbPromise = new Promise((resolve) => {
+      try {
+        if (typeof indexedDB === "undefined") return resolve(null);
+        const req = indexedDB.open(REPORT_CACHE.DB_NAME, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: "key" });
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => { console.warn("Report cache: IndexedDB unavailable:", req.error); resolve(null); };
+      } catch (e) {
+        console.warn("Report cache: IndexedDB unavailable:", e);
+        resolve(null);
+      }
+    });
+    return _dbPromise;
+  }
+
+  function _dbRequest(mode, fn) {
+    return _openDb().then((db) => new Promise((resolve) => {
+      if (!db) return resolve(null);
+      try {
+        const req = fn(db.transaction(STORE, mode).objectStore(STORE));
+        req.onsuccess = () => resolve(req.result ?? null);
+        req.onerror = () => resolve(null);
+      } catch (e) {
+        console.warn("Report cache: IndexedDB request failed:", e);
+        resolve(null);
+      }
+    }));
+  }
+
+  // Resolves { values, cachedAt, meta } or null when missing or older than ttlMs.
+  async function get(sourceId, latlng, ttlMs) {
+    const key = _key(sourceId, latlng);
+    let entry = _memory.get(key) || await _dbRequest("readonly", (store) => store.get(key));
+    if (!entry) return null;
+    if (Date.now() - entry.cachedAt > ttlMs) {
+      _memory.delete(key);
+      _dbRequest("readwrite", (store) => store.delete(key));
+      return null;
+    }
+    _remember(entry);
+    return { values: entry.values, cachedAt: entry.cachedAt, meta: entry.meta ?? null };
+  }
+
+  // `meta` rides along with the values (e.g. the source's provenance record).
+  function set(sourceId, latlng, values, meta = null) {
+    const entry = { key: _key(sourceId, latlng), values, meta, cachedAt: Date.now() };
+    _remember(entry);
+    _dbRequest("readwrite", (store) => store.put(entry));
+  }
+
+  // Drops IndexedDB entries older than the longest TTL so the store can't grow forever.
+  function prune() {
+    const cutoff = Date.now() - REPORT_CACHE.TTL.LONG;
+    _openDb().then((db) => {
+      if (!db) return;
+      try {
+        const req = db.transaction(STORE, "readwrite").objectStore(STORE).openCursor();
+        req.onsuccess = () => {
+          const cursor = req.result;
+          if (!cursor) return;
+          if (cursor.value.cachedAt < cutoff) cursor.delete();
+          cursor.continue();
+        };
+      } catch (e) {
+        console.warn("Report cache: prune failed:", e);
+      }
+    });
+  }
+
+  return { get, set, prune, roundedKey };
+
+})();
+
+/* ============================================================================
+  11b) REVERSE GEOCODING (street address, city, county, ZIP)
+============================================================================ */
+
+const DEFAULT_PLACE_NAME = "Location Report";
+
+// Resolves { name, street, city, county, zip, state } for a point. Runs
+// alongside the report sources, goes through the shared Nominatim queue and
+// is cached under the same rounded key. Any part Nominatim lacks is null;
+// a failed lookup resolves a place with only the default name.
+async function reverseGeocode(latlng, { signal, refresh = false } = {}) {
+  const ttl = REPORT_CACHE.TTL.LONG;
+  if (!refresh) {
+    const hit = await ReportCache.get("address", latlng, ttl);
+    if (hit) return hit.values;
+  }
+  try {
+    const url = `${GEOCODER.REVERSE_URL}?lat=${latlng.lat}&lon=${latlng.lng}&format=json&addressdetails=1`;
+    const data = await nominatimJSON(url, signal);
+    if (data.error) throw new Error(data.error);
+    const place = placeFromAddress(data.address || {});
+    ReportCache.set("address", latlng, place);
+    return place;
+  } catch (e) {
+    if (e?.name !== "AbortError") console.warn("Reverse geocoding failed:", e);
+    return placeFromAddress({});
+  }
+}
+
+function placeFromAddress(a) {
+  const city = a.city || a.town || a.village || a.hamlet || null;
+  const road = a.road || a.pedestrian || a.footway || null;
+  return {
+    name: city || a.county || a.state || DEFAULT_PLACE_NAME,
+    street: road ? [a.house_number, road].filter(Boolean).join(" ") : null,
+    city,
+    county: a.county || null,
+    zip: a.postcode || null,
+    state: a.state || null,
+  };
+}
+
+// "Sacramento County · 95814", or "" when neither is known.
+function placeSubtitle(place) {
+  return [place?.county, place?.zip].filter(Boolean).join(" · ");
+}
+
+/* ============================================================================
+  12) REPORT SOURCE REGISTRY
+============================================================================ */
+
+// Panel tabs in display order. A tab whose sources all render nothing shows
+// its emptyMessage instead.
+const REPORT_TABS = [
+  { id: "hazards", title: "Hazards" },
+  {
+    id: "air",
+    title: "Environment & Health",
+    emptyMessage: "No CalEnviroScreen data found for this location. This area may not be within a mapped California census tract.",
+  },
+  { id: "geology", title: "Geology" },
+  { id: "facilities", title: "Nearby" },
+];
+
+// ---- Provenance ----
+// Sources name the services they read and the features that answered through
+// the `cite(url, feature)` helper in their query context. The record is kept
+// in results.provenance[sourceId] and cached alongside the values.
+
+const _editDates = new Map();   // service url -> Promise<timestamp | null | undefined>
+
+// Dataset "last edited" time from ArcGIS REST metadata, null when the service
+// doesn't publish one, or undefined when the metadata request failed or took
+// longer than UI.METADATA_TIMEOUT_MS, so a slow metadata endpoint never holds
+// up a report. Fetched once per page load for each service; failures are
+// retried by the next report.
+function serviceEditDate(url) {
+  if (!/\/rest\/services\//i.test(url)) return Promise.resolve(null);
+  if (!_editDates.has(url)) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), UI.METADATA_TIMEOUT_MS);
+    _editDates.set(url, fetch(`${url}?f=json`, { signal: controller.signal })
+      .then((r) => r.json())
+      .then((meta) => meta.editingInfo?.dataLastEditDate ?? meta.editingInfo?.lastEditDate ?? null)
+      .catch((e) => {
+        console.warn("Service metadata unavailable:", url, e);
+        _editDates.delete(url);
+        return undefined;
+      })
+      .finally(() => clearTimeout(timer)));
+  }
+  return _editDates.get(url);
+}
+
+function createCitations() {
+  const services = new Map();
+
+  function cite(url, feature = null) {
+    if (!services.has(url)) {
+      const layerId = url.match(/\/(\d+)\/?$/)?.[1];
+      services.set(url, { url, layerId: layerId ?? null, objectIds: [] });
+    }
+    const entry = services.get(url);
+    const id = feature && (feature.id ?? feature.properties?.OBJECTID ?? feature.properties?.objectid);
+    if (id !== null && id !== undefined && !entry.objectIds.includes(id)) entry.objectIds.push(id);
+  }
+
+  // { queriedAt, services: [{ url, layerId, objectIds, editDate, editDateUnavailable }] }
+  async function record() {
+    const list = [...services.values()];
+    const dates = await Promise.all(list.map((s) => serviceEditDate(s.url)));
+    return {
+      queriedAt: Date.now(),
+      services: list.map((s, i) => ({ ...s, editDate: dates[i] ?? null, editDateUnavailable: dates[i] === undefined })),
+    };
+  }
+
+  return { cite, record };
+}
+
+function queryContains(layer, latlng, signal) {
+  return new Promise((resolve) => {
+    abortWith(signal, layer.query().contains(latlng).run((err, fc) => resolve({ err, fc })));
+  });
+}
+
+// Nearest zone polygon across the layers (see proximitySearch), optionally
+// limited to features passing `accept`. Resolves { zone, dist, at, url, feature }
+// or null when no zone lies within range. A failed search rejects, so the
+// source reports "unavailable" instead of caching a false "no zone nearby".
+async function nearestZoneAcross(layersArr, latlng, fieldName, signal, accept = () => true) {
+  const [best] = await proximitySearch(layersArr, latlng, { signal, accept });
+  return best ? { ...best, zone: fieldName ? best.feature.properties?.[fieldName] : null } : null;
+}
+
+// In / out of one CGS regulatory zone, plus the nearest zone when outside:
+// { inside, nearestDist, nearestDir }.
+async function cgsZoneStatus(key, layers, latlng, signal, cite) {
+  const zone = CGS_ZONES[key];
+  const layer = layers[zone.layerKey];
+  const res = await queryContains(layer, latlng, signal);
+  if (res.err) throw res.err;
+  cite(zone.url, res.fc?.features?.[0]);
+  if (res.fc?.features?.length) return { inside: true, nearestDist: null, nearestDir: null };
+  const nearest = await nearestZoneAcross([layer], latlng, null, signal);
+  if (nearest) cite(nearest.url, nearest.feature);
+  return {
+    inside: false,
+    nearestDist: nearest ? nearest.dist.toFixed(2) : null,
+    nearestDir: nearest ? compassDirection(latlng, nearest.at) : null,
+  };
+}
+
+function _damHazardRank(hazard) {
+  const i = DAM_INUNDATION.HAZARD_ORDER.findIndex((h) => h.toLowerCase() === String(hazard || "").trim().toLowerCase());
+  return i < 0 ? DAM_INUNDATION.HAZARD_ORDER.length : i;
+}
+
+// Dams whose mapped breach inundation area covers the point, most severe
+// hazard class first. A dam mapped under several failure scenarios (main dam,
+// saddle dam, ...) is listed once with all of them:
+//   [{ name, owner, hazard, id, scenarios: [] }]
+function damsFromInundation(features) {
+  const byDam = new Map();
+  features.forEach((f) => {
+    const p = f.properties || {};
+    const name = _firstField(p, DAM_INUNDATION.NAME_FIELDS) || "Unnamed dam";
+    const id = _firstField(p, DAM_INUNDATION.ID_FIELDS);
+    const key = String(id ?? name).toLowerCase();
+    const scenario = _firstField(p, DAM_INUNDATION.SCENARIO_FIELDS);
+    const dam = byDam.get(key) || {
+      name,
+      owner: _firstField(p, DAM_INUNDATION.OWNER_FIELDS),
+      hazard: _firstField(p, DAM_INUNDATION.HAZARD_FIELDS),
+      id,
+      scenarios: [],
+    };
+    if (scenario && !dam.scenarios.includes(scenario)) dam.scenarios.push(scenario);
+    byDam.set(key, dam);
+  });
+  return [...byDam.values()].sort((a, b) => _damHazardRank(a.hazard) - _damHazardRank(b.hazard) || a.name.localeCompare(b.name));
+}
+
+// Closest way out of the tsunami hazard area: the nearest point on any
+// boundary edge whose far side is dry land (inside the California outline and
+// outside every hazard polygon), so the seaward edge is never offered as an
+// exit. Edges are ranked on a local flat projection, then only the nearest
+// PROXIMITY.EXIT_CANDIDATES are tested. Resolves { dist (miles), at: [lat, lng] } or
+// null; always null while the California outline is missing, since dry land
+// can't be told from sea without it.
+function tsunamiExit(latlng, polygons) {
+  if (!_caBoundary) return null;
+  const pt = turf.point([latlng.lng, latlng.lat]);
+  const kx = Math.cos(latlng.lat * Math.PI / 180);
+  const candidates = [];
+  turf.segmentEach(turf.featureCollection(polygons), (segment) => {
+    const [[ax, ay], [bx, by]] = segment.geometry.coordinates;
+    const dx = (bx - ax) * kx, dy = by - ay;
+    const px = (latlng.lng - ax) * kx, py = latlng.lat - ay;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 ? Math.max(0, Math.min(1, (px * dx + py * dy) / len2)) : 0;
+    const ex = dx * t - px, ey = dy * t - py;
+    candidates.push({ coord: [ax + (bx - ax) * t, ay + (by - ay) * t], d2: ex * ex + ey * ey });
+  });
+  candidates.sort((a, b) => a.d2 - b.d2);
+
+  const boxes = polygons.map((poly) => turf.bbox(poly));
+  const wet = (p) => {
+    const [x, y] = p.geometry.coordinates;
+    return polygons.some((poly, i) => {
+      const [minX, minY, maxX, maxY] = boxes[i];
+      return x >= minX && x <= maxX && y >= minY && y <= maxY && turf.booleanPointInPolygon(p, poly);
+    });
+  };
+  for (const { coord } of candidates.slice(0, PROXIMITY.EXIT_CANDIDATES)) {
+    const at = turf.point(coord);
+    const beyond = turf.destination(at, 0.05, turf.bearing(pt, at), { units: "kilometers" });
+    if (wet(beyond)) continue;
+    if (!turf.booleanPointInPolygon(beyond, _caBoundary.feature)) continue;
+    return { dist: turf.distance(pt, at, { units: "miles" }), at: [coord[1], coord[0]] };
+  }
+  return null;
+}
+
+// Tsunami hazard status for the tsunami slot. Inside the area the exit is
+// searched ring by ring (PROXIMITY.RINGS_METERS): an exit only counts once
+// it lies within the ring, where every polygon that could cover its far side
+// has been loaded. Outside, the nearest edge of the area is reported instead.
+// When the California outline never loads, `exitUnavailable` is set rather
+// than risk offering the seaward edge.
+async function tsunamiStatus(layer, latlng, signal, cite) {
+  const res = await queryContains(layer, latlng, signal);
+  if (res.err) throw res.err;
+  cite(SERVICES.TSUNAMI, res.fc?.features?.[0]);
+  if (!res.fc?.features?.length) {
+    const nearest = await nearestZoneAcross([layer], latlng, null, signal);
+    if (nearest) cite(nearest.url, nearest.feature);
+    return {
+      inside: false,
+      nearestDist: nearest ? nearest.dist.toFixed(2) : null,
+      nearestDir: nearest ? compassDirection(latlng, nearest.at) : null,
+    };
+  }
+  // Leave most of the source's time budget for the exit search itself.
+  await whenCoverageReady(UI.SOURCE_TIMEOUT_MS / 4);
+  if (!_caBoundary) return { inside: true, exitDist: null, exitDir: null, exitAt: null, exitUnavailable: true };
+  for (const meters of PROXIMITY.RINGS_METERS) {
+    const polygons = [];
+    await _streamFeatures(layer, geodesicBounds(latlng, meters), signal, (f) => {
+      if (f.geometry?.type === "Polygon" || f.geometry?.type === "MultiPolygon") polygons.push(f);
+    });
+    const exit = tsunamiExit(latlng, polygons);
+    if (exit && exit.dist <= meters / 1609.344) {
+      return { inside: true, exitDist: exit.dist.toFixed(2), exitDir: compassDirection(latlng, exit.at), exitAt: exit.at };
     }
+    if (signal?.aborted) break;
+  }
+  return { inside: true, exitDist: null, exitDir: null, exitAt: null };
+}
+
+// Dashed leader from the report point to the nearest exit from the tsunami area.
+function drawTsunamiExit(overlay, latlng, tsunami) {
+  if (!tsunami?.exitAt) return;
+  L.polyline([[latlng.lat, latlng.lng], tsunami.exitAt], { color: "#2b8cbe", weight: 3, opacity: 0.9, dashArray: "6 6", interactive: false })
+    .addTo(overlay);
+  L.circleMarker(tsunami.exitAt, { radius: 5, color: "#fff", weight: 1.5, fillColor: "#2b8cbe", fillOpacity: 1 })
+    .bindTooltip(`Nearest ground outside the tsunami hazard area · ${tsunami.exitDist} mi ${tsunami.exitDir}`)
+    .addTo(overlay);
+}
+
+// CalEnviroScreen 4.0 fields copied into results.air: `pct` is the statewide
+// percentile (rounded), `raw` the underlying indicator value where there is one.
+const CES_FIELDS = [
+  { key: "cesScore",  label: "CES overall score",    pct: "CIscoreP" },
+  { key: "ozone",     label: "Ozone",                pct: "ozoneP",   raw: "ozone" },
+  { key: "pm",        label: "PM2.5",                pct: "pmP",      raw: "pm" },
+  { key: "water",     label: "Drinking water",       pct: "drinkP",   raw: "drink" },
+  { key: "diesel",    label: "Diesel PM",            pct: "dieselP",  raw: "diesel" },
+  { key: "pesticide", label: "Pesticides",           pct: "pestP",    raw: "pest" },
+  { key: "lead",      label: "Children's lead risk", pct: "leadP",    raw: "lead" },
+  { key: "asthma",    label: "Asthma",               pct: "asthmaP",  raw: "asthma" },
+];
+
+// Single lookup of the CES 4.0 tract containing the point, all fields at once.
+function queryCesTract(latlng, signal) {
+  return new Promise((resolve) => {
+    abortWith(signal, L.esri.query({ url: SERVICES.CALENVIRO_4 })
+      .contains(latlng)
+      .returnGeometry(false)
+      .run((err, fc) => resolve({ err, fc })));
+  });
+}
+
+function _firstField(props, names) {
+  const key = names.find((k) => props[k] !== null && props[k] !== undefined && props[k] !== "");
+  return key ? props[key] : null;
+}
+
+// One FHSZ designation for the fire slot. `area` is the layer it came from
+// ("LRA" | "SRA"); a responsibility field on the zone (e.g. FRA inside the
+// SRA map) overrides the layer's default.
+function fireDesignation(feature, area) {
+  const p = feature.properties || {};
+  const code = String(_firstField(p, FIRE_HAZARD.RESPONSIBILITY_FIELDS) ?? "").trim().toUpperCase();
+  const resp = Object.keys(FIRE_HAZARD.RESPONSIBILITY)   // "SRA" or "State", "FRA" or "Federal", ...
+    .find((k) => code === k || code === FIRE_HAZARD.RESPONSIBILITY[k].toUpperCase());
+  const date = _firstField(p, FIRE_HAZARD.DATE_FIELDS);
+  return {
+    zone: p.FHSZ_Description,
+    area,
+    responsibility: FIRE_HAZARD.RESPONSIBILITY[resp || area],
+    mapDate: typeof date === "number" ? new Date(date).toISOString().slice(0, 10) : (date || FIRE_HAZARD.MAP_DATES[area]),
+  };
+}
+
+function _femaMeasure(v) {
+  const n = Number(v);
+  return v === null || v === undefined || v === "" || !Number.isFinite(n) || n <= -9999 ? null : n;
+}
+
+// "AE", "X (shaded)", "AE (floodway)" ... from FLD_ZONE and ZONE_SUBTY.
+function femaZoneLabel(fldZone, subtype) {
+  if (!fldZone) return null;
+  const sub = (subtype || "").toUpperCase();
+  if (fldZone === "X") {
+    if (sub.includes("0.2") || sub.includes("LEVEE")) return "X (shaded)";
+    if (sub.includes("MINIMAL")) return "X (unshaded)";
+  }
+  if (sub.includes("FLOODWAY")) return `${fldZone} (floodway)`;
+  return fldZone;
+}
+
+// One FEMA NFHL flood hazard area for the flood slot. -9999 means "none" in
+// STATIC_BFE / DEPTH. SFHA_TF decides SFHA membership when the layer has it;
+// otherwise A / V zones (or the 1% and floodway symbology) count as SFHA.
+function floodDesignation(feature) {
+  const p = feature.properties || {};
+  const zone = p.ESRI_SYMBOLOGY || null;
+  const fldZone = p.FLD_ZONE ? String(p.FLD_ZONE).trim().toUpperCase() : null;
+  let sfha = null;
+  if (p.SFHA_TF) sfha = String(p.SFHA_TF).toUpperCase() === "T";
+  else if (fldZone) sfha = /^[AV]/.test(fldZone);
+  else if (zone) sfha = /1%|floodway/i.test(zone);
+  return {
+    zone,
+    fldZone,
+    label: femaZoneLabel(fldZone, p.ZONE_SUBTY),
+    sfha,
+    bfe: _femaMeasure(p.STATIC_BFE),
+    depth: _femaMeasure(p.DEPTH),
+    unit: /meter/i.test(p.LEN_UNIT || "") ? "m" : "ft",
+    datum: p.V_DATUM || null,
+  };
+}
+
+// Critical facilities for the "Nearby" tab. `radius` bounds the server-side
+// search; the nearest match within it is kept.
+const FACILITY_TYPES = [
+  {
+    key: "fireStation", label: "Fire station", noun: "fire station", icon: "🚒", color: "#e05252",
+    url: SERVICES.FIRE_STATIONS, where: "STATE = 'CA'", radius: 25000,
+    describe: (p) => ({ name: p.NAME || "Unknown Station", attrs: [["Address", p.ADDRESS], ["City", p.CITY]] }),
+  },
+  {
+    key: "hospital", label: "Hospital", noun: "hospital", icon: "🏥", color: "#4a9ede",
+    url: SERVICES.HEALTH_CENTERS, where: "LicenseType LIKE '%Hospital%'", radius: 40000,
+    describe: (p) => ({ name: p.FacilityName || "Unknown Facility", attrs: [["Type", p.LicenseType], ["Status", p.FacilityStatus]] }),
+  },
+  {
+    key: "school", label: "Public school", noun: "public school", icon: "🏫", color: "#e8c840",
+    url: SERVICES.SCHOOLS, radius: 15000,
+    describe: (p) => ({ name: p.SchoolName || "Unknown School", attrs: [["District", p.DistrictName], ["Type", p.SchoolType], ["Enrollment", p.EnrollTotal]] }),
+  },
+  {
+    key: "airport", label: "Public airport", noun: "public airport", icon: "✈️", color: "#94b4c8",
+    url: SERVICES.PUBLIC_AIRPORTS, radius: UI.NEARBY_METERS,
+    describe: (p) => ({ name: p.FACILITY || "Unknown Facility", attrs: [["Class", p.FNCTNLCLSS], ["Airport ID", p.AIRPORTID]] }),
+  },
+  {
+    key: "evCharger", label: "EV charger", noun: "EV charger", icon: "🔋", color: "#4cbe8a",
+    nrel: true, radius: 40000,
+  },
+];
+
+async function nearestFacilityFeature(type, latlng, signal, cite) {
+  // The service returns matches in no particular order and caps each
+  // response, so every page within the radius is read before picking one.
+  let best = null;
+  for (let offset = 0; ;) {
+    const { err, fc, res } = await new Promise((resolve) => {
+      let q = L.esri.query({ url: type.url }).nearby(latlng, type.radius).returnGeometry(true)
+        .limit(PROXIMITY.PAGE_SIZE).offset(offset);
+      if (type.where) q = q.where(type.where);
+      abortWith(signal, q.run((err, fc, res) => resolve({ err, fc, res })));
+    });
+    if (err) throw err;
+    const features = fc?.features || [];
+    for (const f of features) {
+      const dist = getDistanceToPointMiles(latlng, f);
+      if (Number.isFinite(dist) && (!best || dist < best.dist)) best = { feature: f, dist };
+    }
+    offset += features.length;
+    if (!features.length || signal?.aborted) break;
+    if (features.length < PROXIMITY.PAGE_SIZE && !res?.exceededTransferLimit) break;
+  }
+  cite(type.url, best?.feature);
+  if (!best) return null;
+  const [lng, lat] = best.feature.geometry.coordinates;
+  return { ...type.describe(best.feature.properties || {}), dist: best.dist, at: [lat, lng] };
+}
+
+async function nearestEvCharger(type, latlng, signal, cite) {
+  const miles = type.radius / 1609.344;
+  const url = `${NREL.WORKER_URL}?fuel_type=ELEC&latitude=${latlng.lat}&longitude=${latlng.lng}&radius=${miles.toFixed(1)}&status=E&access=public&state=CA&limit=1`;
+  const data = await (await fetch(url, { signal })).json();
+  const s = (data.fuel_stations || []).find((st) => st.latitude && st.longitude);
+  cite(NREL.WORKER_URL, s ? { id: s.id } : null);
+  if (!s) return null;
+  const ports = (s.ev_level1_evse_num || 0) + (s.ev_level2_evse_num || 0) + (s.ev_dc_fast_num || 0);
+  return {
+    name: s.station_name || "EV Charger",
+    dist: turf.distance(turf.point([latlng.lng, latlng.lat]), turf.point([s.longitude, s.latitude]), { units: "miles" }),
+    at: [s.latitude, s.longitude],
+    attrs: [["Address", [s.street_address, s.city].filter(Boolean).join(", ")], ["Network", s.ev_network], ["Ports", ports], ["DC fast", s.ev_dc_fast_num || 0]],
+  };
+}
+
+// Straight-line leader from the report point to each nearby facility.
+function drawFacilityLines(overlay, latlng, facilities) {
+  FACILITY_TYPES.forEach((type) => {
+    const f = facilities[type.key];
+    if (!f) return;
+    L.polyline([[latlng.lat, latlng.lng], f.at], { color: type.color, weight: 2, opacity: 0.85, dashArray: "5 5", interactive: false })
+      .addTo(overlay);
+    L.circleMarker(f.at, { radius: 5, color: "#fff", weight: 1.5, fillColor: type.color, fillOpacity: 1 })
+      .bindTooltip(`${type.icon} ${f.name} · ${f.dist.toFixed(2)} mi`)
+      .addTo(overlay);
+  });
+}
+
+// Every data source in the location report. Each entry declares:
+//   slot    - key in the results object it writes into (several may share one)
+//   initial - default values for its fields in that slot
+//   cacheTtlMs - how long a cached answer stays valid (default REPORT_CACHE.TTL.DEFAULT)
+//   cacheable - optional (values) => boolean; false keeps that answer out of the cache
+//   query   - async ({ map, latlng, layers, results, signal, cite }) => partial
+//             slot values; pass `signal` on to every request so it can be
+//             cancelled, throw when a service fails so the card says
+//             "unavailable" rather than "no data", and cite(url, feature) each
+//             service read and feature used for the "Source" footer
+//   tab     - panel tab its card(s) appear on
+//   render  - (results) => card HTML, rendered in list order within the tab
+//   draw    - optional (overlay, results, latlng) => void, adds map graphics to
+//             the report overlay (cleared whenever a new report starts)
+// Adding a source here is all it takes for the click report, the panel and
+// the PDF export to pick it up.
+const REPORT_SOURCES = [
+  {
+    id: "fire",
+    label: "Fire",
+    tab: "hazards",
+    slot: "fire",
+    cacheTtlMs: REPORT_CACHE.TTL.LONG,
+    // `zone` / `area` are the most severe designation; `designations` lists
+    // every LRA and SRA zone covering the point. `nearestZone` is the closest
+    // zone more severe than that (any zone when the point is outside them all).
+    initial: { zone: null, area: null, designations: [], nearestZone: null, nearestDist: null, nearestDir: null },
+    query: async ({ latlng, layers, signal, cite }) => {
+      // A missing layer could hide the more severe designation, so both must answer.
+      const [lra, sra] = await Promise.all([
+        queryContains(layers.fireHazardLRA, latlng, signal),
+        queryContains(layers.fireHazardSRA, latlng, signal),
+      ]);
+      if (lra.err || sra.err) throw lra.err || sra.err;
+      cite(SERVICES.FIRE_LRA);
+      cite(SERVICES.FIRE_SRA);
+      const designations = [];
+      [[lra, "LRA", SERVICES.FIRE_LRA], [sra, "SRA", SERVICES.FIRE_SRA]].forEach(([res, area, url]) => {
+        (res.fc?.features || []).forEach((f) => { cite(url, f); designations.push(fireDesignation(f, area)); });
+      });
+      designations.sort((a, b) => HazardIndex.fireRank(b.zone) - HazardIndex.fireRank(a.zone));
+
+      const top = designations[0] || null;
+      const rank = HazardIndex.fireRank(top?.zone);
+      const nearest = rank < 3
+        ? await nearestZoneAcross([layers.fireHazardLRA, layers.fireHazardSRA], latlng, "FHSZ_Description", signal,
+            (f) => HazardIndex.fireRank(f.properties?.FHSZ_Description) > rank)
+        : null;
+      if (nearest) cite(nearest.url, nearest.feature);
+      if (!top && !nearest) return null;
+      return {
+        zone: top?.zone ?? null,
+        area: top?.area ?? null,
+        designations,
+        nearestZone: nearest?.zone ?? null,
+        nearestDist: nearest ? nearest.dist.toFixed(2) : null,
+        nearestDir: nearest ? compassDirection(latlng, nearest.at) : null,
+      };
+    },
+    render: ReportCards.fire,
+  },
+  {
+    id: "flood",
+    label: "Flood",
+    tab: "hazards",
+    slot: "flood",
+    cacheTtlMs: REPORT_CACHE.TTL.LONG,
+    // The top-level fields describe the most severe overlapping area;
+    // `overlaps` lists every flood feature at the point.
+    initial: {
+      zone: null, fldZone: null, zoneLabel: null, sfha: null, bfe: null, depth: null, unit: null, datum: null,
+      coastal: false, insuranceRequired: null, overlaps: [], nearestZone: null, nearestDist: null,
+    },
+    query: async ({ latlng, layers, signal, cite }) => {
+      const res = await queryContains(layers.floodLayer, latlng, signal);
+      if (res.err) throw res.err;
+      cite(SERVICES.FLOOD);
+      const features = res.fc?.features || [];
+      features.forEach((f) => cite(SERVICES.FLOOD, f));
+      if (features.length) {
+        // Coastal V zones outrank A zones of the same flood frequency.
+        const severity = (d) => HazardIndex.floodRank(d.zone) * 2 + (d.fldZone?.startsWith("V") ? 1 : 0);
+        const overlaps = features.map(floodDesignation).sort((a, b) => severity(b) - severity(a));
+        const top = overlaps[0];
+        const measured = overlaps.find((d) => d.bfe !== null || d.depth !== null) || top;
+        const sfha = overlaps.some((d) => d.sfha) ? true : (overlaps.every((d) => d.sfha === false) ? false : null);
+        return {
+          zone: top.zone,
+          fldZone: top.fldZone,
+          zoneLabel: top.label,
+          sfha,
+          bfe: measured.bfe,
+          depth: measured.depth,
+          unit: measured.unit,
+          datum: measured.datum,
+          coastal: overlaps.some((d) => d.fldZone?.startsWith("V")),
+          // Federally backed mortgages on buildings in an SFHA must carry flood insurance.
+          insuranceRequired: sfha,
+          overlaps,
+        };
+      }
+      const nearest = await nearestZoneAcross([layers.floodLayer], latlng, "ESRI_SYMBOLOGY", signal);
+      if (nearest) cite(nearest.url, nearest.feature);
+      return nearest ? { nearestZone: nearest.zone, nearestDist: nearest.dist.toFixed(2) } : null;
+    },
+    render: ReportCards.flood,
+  },
+  {
+    id: "dams",
+    label: "Dam inundation",
+    tab: "hazards",
+    slot: "dams",
+    cacheTtlMs: REPORT_CACHE.TTL.LONG,
+    initial: { dams: [] },
+    query: async ({ latlng, layers, signal, cite }) => {
+      const res = await queryContains(layers.damInundation, latlng, signal);
+      if (res.err) throw res.err;
+      cite(SERVICES.DAM_INUNDATION);
+      const features = res.fc?.features || [];
+      features.forEach((f) => cite(SERVICES.DAM_INUNDATION, f));
+      return { dams: damsFromInundation(features) };
+    },
+    render: ReportCards.dams,
+  },
+  {
+    id: "fault",
+    label: "Fault",
+    tab: "hazards",
+    slot: "fault",
+    cacheTtlMs: REPORT_CACHE.TTL.LONG,
+    // name / dist are the nearest fault; `faults` the UI.NEAREST_FAULTS closest.
+    initial: { name: null, dist: null, faults: [] },
+    query: async ({ latlng, layers, signal, cite }) => {
+      const faults = await getNearestFaults(layers.faultsLayer, latlng, signal);
+      cite(SERVICES.FAULTS_REGIONAL_QUAT);
+      cite(SERVICES.FAULTS_LOCAL_QUAT);
+      faults.forEach((f) => cite(f.source.url, f.source.feature));
+      return {
+        name: faults[0]?.name ?? null,
+        dist: faults[0]?.dist ?? null,
+        faults: faults.map(({ source, ...f }) => f),
+      };
+    },
+    render: ReportCards.fault,
+  },
+  {
+    id: "apZone",
+    label: "A-P fault zone",
+    tab: "hazards",
+    slot: "zones",
+    cacheTtlMs: REPORT_CACHE.TTL.LONG,
+    initial: { ap: null },
+    query: async ({ latlng, layers, signal, cite }) => ({ ap: await cgsZoneStatus("ap", layers, latlng, signal, cite) }),
+    render: ReportCards.apZone,
+  },
+  {
+    id: "tsunami",
+    label: "Tsunami",
+    tab: "hazards",
+    slot: "tsunami",
+    cacheTtlMs: REPORT_CACHE.TTL.LONG,
+    initial: { inside: null, exitDist: null, exitDir: null, exitAt: null, exitUnavailable: false, nearestDist: null, nearestDir: null },
+    query: ({ latlng, layers, signal, cite }) => tsunamiStatus(layers.tsunamiLayer, latlng, signal, cite),
+    // Without the California outline there is no exit yet; the next report tries again.
+    cacheable: (values) => !values.exitUnavailable,
+    render: ReportCards.tsunami,
+    draw: (overlay, results, latlng) => drawTsunamiExit(overlay, latlng, results.tsunami),
+  },
+  {
+    id: "ces",
+    label: "CalEnviroScreen",
+    tab: "air",
+    slot: "air",
+    cacheTtlMs: REPORT_CACHE.TTL.LONG,
+    initial: CES_FIELDS.reduce((acc, f) => {
+      acc[f.key] = null;
+      if (f.raw) acc[`${f.key}Raw`] = null;
+      return acc;
+    }, {}),
+    query: async ({ latlng, signal, cite }) => {
+      const { err, fc } = await queryCesTract(latlng, signal);
+      if (err) throw err;
+      cite(SERVICES.CALENVIRO_4, fc?.features?.[0]);
+      const p = fc?.features?.[0]?.properties;
+      if (!p) return null;
+      const out = {};
+      CES_FIELDS.forEach((f) => {
+        out[f.key] = p[f.pct] !== undefined && p[f.pct] !== null ? Math.round(p[f.pct]) : null;
+        if (f.raw) out[`${f.key}Raw`] = p[f.raw] ?? null;
+      });
+      return out;
+    },
+    render: ReportCards.ces,
+  },
+  {
+    id: "mmi",
+    label: "MMI",
+    tab: "geology",
+    slot: "geo",
+    cacheTtlMs: REPORT_CACHE.TTL.LONG,
+    initial: { mmi: null },
+    query: async ({ latlng, signal, cite }) => {
+      const mmi = await identifyMMIAt(latlng, { signal });
+      cite(SERVICES.SHAKING_IMAGESERVER);
+      return { mmi: mmi ?? null };
+    },
+    render: ReportCards.mmi,
+  },
+  {
+    id: "landslide",
+    label: "Landslide",
+    tab: "geology",
+    slot: "geo",
+    cacheTtlMs: REPORT_CACHE.TTL.LONG,
+    initial: { landslide: null },
+    query: async ({ map, latlng, signal, cite }) => {
+      const landslide = await identifyLandslideAt(map, latlng, { signal });
+      cite(`${SERVICES.LANDSLIDE_MAPSERVER}/0`);
+      return { landslide: landslide ?? null };
+    },
+    render: ReportCards.landslide,
+  },
+  {
+    id: "seismicZones",
+    label: "Seismic Hazard Zones",
+    tab: "geology",
+    slot: "zones",
+    cacheTtlMs: REPORT_CACHE.TTL.LONG,
+    initial: { liquefaction: null, eqLandslide: null },
+    query: async ({ latlng, layers, signal, cite }) => {
+      const [liquefaction, eqLandslide] = await Promise.all([
+        cgsZoneStatus("liquefaction", layers, latlng, signal, cite),
+        cgsZoneStatus("eqLandslide", layers, latlng, signal, cite),
+      ]);
+      return { liquefaction, eqLandslide };
+    },
+    render: ReportCards.seismicZones,
+  },
+  {
+    id: "facilities",
+    label: "Nearby facilities",
+    tab: "facilities",
+    slot: "facilities",
+    // EV charger availability is a live feed, so the whole answer expires quickly.
+    cacheTtlMs: REPORT_CACHE.TTL.SHORT,
+    // `unavailable` lists the facility types whose lookup failed, so their
+    // cards say so instead of "none found".
+    initial: FACILITY_TYPES.reduce((acc, t) => { acc[t.key] = null; return acc; }, { unavailable: [] }),
+    query: async ({ latlng, signal, cite }) => {
+      const unavailable = [];
+      const found = await Promise.all(FACILITY_TYPES.map((type) =>
+        (type.nrel ? nearestEvCharger(type, latlng, signal, cite) : nearestFacilityFeature(type, latlng, signal, cite))
+          .catch((ex) => {
+            unavailable.push(type.key);
+            if (!signal.aborted) console.warn(`${type.label} lookup error:`, ex);
+            return null;
+          })
+      ));
+      if (unavailable.length === FACILITY_TYPES.length) throw new Error("All facility lookups failed");
+      const out = { unavailable };
+      FACILITY_TYPES.forEach((type, i) => { out[type.key] = found[i]; });
+      return out;
+    },
+    // A partly failed answer is shown but not cached, so the next report retries.
+    cacheable: (values) => !values.unavailable.length,
+    render: ReportCards.facilities,
+    draw: (overlay, results, latlng) => drawFacilityLines(overlay, latlng, results.facilities),
+  },
+];
+
+// `status` maps each source id to "pending", "found", "empty" (answered, but
+// nothing mapped here), "error" or "timeout"; `provenance` maps it to the
+// record built by createCitations().
+function createEmptyResults() {
+  const results = { status: {}, provenance: {} };
+  REPORT_SOURCES.forEach((src) => {
+    results[src.slot] = Object.assign(results[src.slot] || {}, src.initial);
+    results.status[src.id] = "pending";
+  });
+  return results;
+}
+
+const SOURCE_TIMED_OUT = Symbol("timed out");
+const SOURCE_CANCELLED = Symbol("cancelled");
+
+let _reportSessionSeq = 0;
+
+// One click = one report session. Cancelling a session aborts every request
+// its sources still have in flight; anything they resolve afterwards is dropped.
+function createReportSession(map, latlng, layers, { refresh = false } = {}) {
+  const controller = new AbortController();
+  return {
+    id: ++_reportSessionSeq,
+    map,
+    latlng,
+    layers,
+    results: createEmptyResults(),
+    cachedAt: {},        // source id -> timestamp, for sources answered from ReportCache
+    refresh,             // true skips cache reads (fresh answers are still cached)
+    signal: controller.signal,
+    cancel: () => controller.abort(),
+  };
+}
+
+// Runs one source (or replays its cached answer), merges its values into
+// session.results and records its status there. Never rejects:
+// resolves "found" or "empty", "error" when the query failed (the slot keeps
+// its initial values), "timeout" when the source exceeds its time budget, or
+// "cancelled" when the session is cancelled first. In the last two cases the
+// source's requests are aborted and any late answer is discarded.
+function runReportSource(src, session) {
+  const timeoutMs = src.timeoutMs ?? UI.SOURCE_TIMEOUT_MS;
+  const controller = new AbortController();
+  const onSessionAbort = () => controller.abort();
+  session.signal.addEventListener("abort", onSessionAbort, { once: true });
+
+  let timer = null;
+  const stopped = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(SOURCE_TIMED_OUT), timeoutMs);
+    session.signal.addEventListener("abort", () => resolve(SOURCE_CANCELLED), { once: true });
+  });
+  let fromCache = false;
+  let failed = false;
+  let provenance = null;
+  const work = Promise.resolve()
+    .then(async () => {
+      if (!session.refresh) {
+        const hit = await ReportCache.get(src.id, session.latlng, src.cacheTtlMs ?? REPORT_CACHE.TTL.DEFAULT);
+        if (hit) {
+          fromCache = true;
+          session.cachedAt[src.id] = hit.cachedAt;
+          provenance = hit.meta?.provenance ?? null;
+          return hit.values;
+        }
+      }
+      const citations = createCitations();
+      const values = await src.query({ ...session, signal: controller.signal, cite: citations.cite });
+      provenance = await citations.record();
+      return values;
+    })
+    .catch((ex) => {
+      failed = true;
+      if (!controller.signal.aborted) console.warn(`${src.label} query error:`, ex);
+      return null;
+    });
+
+  return Promise.race([work, stopped]).then((values) => {
+    clearTimeout(timer);
+    session.signal.removeEventListener("abort", onSessionAbort);
+    if (values === SOURCE_CANCELLED) return "cancelled";
+    let status;
+    if (values === SOURCE_TIMED_OUT) {
+      console.warn(`${src.label} query timed out after ${timeoutMs} ms`);
+      controller.abort();
+      status = "timeout";
+    } else if (failed) {
+      status = "error";
+    } else {
+      if (values) Object.assign(session.results[src.slot], values);
+      session.results.provenance[src.id] = provenance;
+      if (!fromCache && (!src.cacheable || src.cacheable(values))) ReportCache.set(src.id, session.latlng, values, { provenance });
+      // An empty list (no faults, no dams) is no more an answer than null.
+      status = values && Object.values(values).some((v) => v !== null && !(Array.isArray(v) && !v.length)) ? "found" : "empty";
+    }
+    session.results.status[src.id] = status;
+    return status;
+  });
+}
+
+/* ============================================================================
+  12b) COMPOSITE HAZARD INDEX
+============================================================================ */
+
+// Rolls the point report up into one 0-100 score. Every component is scaled
+// to 0..1 (0 = least hazardous), then averaged using the user's weights:
+//   Fire       FHSZ class: none 0, Moderate 1/3, High 2/3, Very High 1
+//   Flood      FEMA zone: none 0, levee-protected 1/4, 0.2% 2/4, 1% 3/4, floodway 1
+//   Fault      1 on a mapped trace, falling linearly to 0 at FAULT_MAX_MILES
+//   Shaking    MMI I..X mapped to 0..1
+//   Landslide  CGS class I..X mapped to 0..1
+//   CES        CalEnviroScreen overall percentile / 100
+// Components whose source has not finished (or has no data here) drop out and
+// the remaining weights are renormalised, so the score always spans 0-100.
+const HazardIndex = (function () {
+
+  const FIRE_RANK = { "Moderate": 1, "High": 2, "Very High": 3 };
+
+  function fireRank(zone) { return zone ? (FIRE_RANK[zone] ?? 0) : 0; }
+
+  function floodRank(zone) {
+    if (!zone) return 0;
+    const z = zone.toLowerCase();
+    if (z.includes("floodway")) return 4;
+    if (z.includes("1%"))       return 3;
+    if (z.includes("0.2%"))     return 2;
+    if (z.includes("levee"))    return 1;
+    return 0;
+  }
+
+  // `source` is the REPORT_SOURCES id the component depends on.
+  const COMPONENTS = [
+    {
+      key: "fire", label: "Fire", source: "fire",
+      level: (r) => fireRank(r.fire.zone) / 3,
+      value: (r) => r.fire.zone || "Outside FHSZ",
+    },
+    {
+      key: "flood", label: "Flood", source: "flood",
+      level: (r) => floodRank(r.flood.zone) / 4,
+      value: (r) => r.flood.zone || "No mapped zone",
+    },
+    {
+      key: "fault", label: "Fault", source: "fault",
+      level: (r) => Number.isFinite(r.fault.dist) ? Math.max(0, 1 - r.fault.dist / HAZARD_INDEX.FAULT_MAX_MILES) : 0,
+      value: (r) => Number.isFinite(r.fault.dist) ? `${r.fault.dist.toFixed(1)} mi` : `None within ${proximityMaxMiles()} mi`,
+    },
+    {
+      key: "mmi", label: "Shaking", source: "mmi",
+      level: (r) => r.geo.mmi !== null ? Math.min(1, Math.max(0, (r.geo.mmi - 1) / 9)) : null,
+      value: (r) => r.geo.mmi !== null ? `MMI ${formatMMI(r.geo.mmi).valueStr}` : "No data",
+    },
+    {
+      key: "landslide", label: "Landslide", source: "landslide",
+      level: (r) => r.geo.landslide ? LANDSLIDE_ORDER.indexOf(r.geo.landslide) / (LANDSLIDE_ORDER.length - 1) : null,
+      value: (r) => r.geo.landslide ? `Class ${r.geo.landslide}` : "No data",
+    },
+    {
+      key: "ces", label: "CalEnviroScreen", source: "ces",
+      level: (r) => r.air.cesScore !== null ? r.air.cesScore / 100 : null,
+      value: (r) => r.air.cesScore !== null ? `${r.air.cesScore}th pct` : "No data",
+    },
+  ];
+
+  function getWeights() {
+    const weights = { ...HAZARD_INDEX.DEFAULT_WEIGHTS };
+    try {
+      const saved = JSON.parse(localStorage.getItem(HAZARD_INDEX.STORAGE_KEY) || "{}");
+      COMPONENTS.forEach(({ key }) => {
+        if (Number.isFinite(saved[key]) && saved[key] >= 0) weights[key] = saved[key];
+      });
+    } catch (e) {
+      console.warn("Hazard index weights unreadable, using defaults:", e);
+    }
+    return weights;
+  }
+
+  function setWeight(key, value) {
+    const weights = getWeights();
+    weights[key] = Math.max(0, Number(value) || 0);
+    try {
+      localStorage.setItem(HAZARD_INDEX.STORAGE_KEY, JSON.stringify(weights));
+    } catch (e) {
+      console.warn("Could not save hazard index weights:", e);
+    }
+    return weights;
+  }
+
+  function resetWeights() {
+    try { localStorage.removeItem(HAZARD_INDEX.STORAGE_KEY); } catch (e) { /* storage disabled */ }
+    return getWeights();
+  }
+
+  // `ready(sourceId)` says whether that source has finished for this report.
+  // Returns { score, parts, weights }; score is null when no weighted
+  // component has data yet. Each part's `points` is its share of the score.
+  function compute(r, ready = () => true) {
+    const weights = getWeights();
+    const parts = COMPONENTS.map((c) => {
+      const level = ready(c.source) ? c.level(r) : null;
+      return { key: c.key, label: c.label, weight: weights[c.key], level, value: level === null ? "No data" : c.value(r) };
+    });
+    const used = parts.filter((p) => p.level !== null && p.weight > 0);
+    const totalWeight = used.reduce((sum, p) => sum + p.weight, 0);
+    parts.forEach((p) => {
+      p.points = (p.level !== null && totalWeight > 0) ? (p.weight * p.level / totalWeight) * 100 : null;
+    });
+    const score = totalWeight > 0 ? used.reduce((sum, p) => sum + p.points, 0) : null;
+    return { score, parts, weights };
+  }
+
+  return { COMPONENTS, compute, getWeights, setWeight, resetWeights, fireRank, floodRank };
+
+})();
+
+/* ============================================================================
+  13) SLIDE PANEL CONTROLLER
+============================================================================ */
+
+const PanelController = (function () {
+
+  let _activeTab   = REPORT_TABS[0].id;
+  let _lastResults = null;
+  let _lastLatLng  = null;
+  let _place       = null;   // reverse-geocoded place of the report (see reverseGeocode)
+  let _sourceState = {};   // source id -> "pending" | "found" | "empty" | "error" | "timeout"
+  let _cachedAt    = {};   // source id -> timestamp, for sources served from ReportCache
+  let _savedAt     = null; // set while showing a report reopened from history
+  let _onRefresh   = null;
+  let _onRetry     = null;
+  let _slotHTML    = {};   // source id -> HTML last written to its slot
+  let _onStateChange = null;
+
+  function open()  { $("slide-panel")?.classList.remove("slide-panel-closed"); }
+  function close() { $("slide-panel")?.classList.add("slide-panel-closed"); _notifyState(); }
+
+  function _isOpen() { return !$("slide-panel")?.classList.contains("slide-panel-closed"); }
+
+  // Registers a listener for changes worth reflecting in the URL (report
+  // point, active tab, panel closed).
+  function onStateChange(fn) { _onStateChange = fn; }
+
+  function _notifyState() { if (_onStateChange) _onStateChange(); }
+
+  // { latlng, tab } — latlng is null unless a point report is showing.
+  function getState() {
+    return { latlng: _lastResults && _isOpen() ? _lastLatLng : null, tab: _activeTab };
+  }
+
+  function showTab(tab) {
+    if (REPORT_TABS.some((t) => t.id === tab)) _switchTab(tab);
+  }
+
+  function _coordsText(latlng) {
+    return `${latlng.lat.toFixed(5)}° N,  ${Math.abs(latlng.lng).toFixed(5)}° W`;
+  }
+
+  function setCoords(latlng) {
+    _lastLatLng = latlng;
+    const el = $("panel-coords");
+    if (el) el.textContent = _coordsText(latlng);
+    const nameEl = $("panel-location-name");
+    if (nameEl) nameEl.textContent = "Loading...";
+    setPlace(null);
+  }
+
+  function setLocationName(name) {
+    const nameEl = $("panel-location-name");
+    if (nameEl) nameEl.textContent = name || DEFAULT_PLACE_NAME;
+  }
+
+  // Header for a reverse-geocoded place: the name, then "County · ZIP" and the
+  // street address underneath. null clears the second line.
+  function setPlace(place) {
+    _place = place;
+    if (place) setLocationName(place.name);
+    const metaEl = $("panel-location-meta");
+    if (!metaEl) return;
+    const lines = [placeSubtitle(place), place?.street].filter(Boolean);
+    metaEl.replaceChildren(...lines.map((l) => {
+      const div = document.createElement("div");
+      div.textContent = l;
+      return div;
+    }));
+    metaEl.classList.toggle("hidden", !lines.length);
+  }
+
+  // Shows the tabs straight away with a loading skeleton for every source.
+  // Cards are filled in one by one as setSourceState() reports each query.
+  // With `savedAt` (a report reopened from history) the sources keep the
+  // statuses stored in results.status.
+  function startReport(results, latlng, { savedAt = null } = {}) {
+    _lastResults = results;
+    _lastLatLng  = latlng;
+    _sourceState = {};
+    _cachedAt    = {};
+    _savedAt     = savedAt;
+    REPORT_SOURCES.forEach((src) => { _sourceState[src.id] = savedAt ? results.status[src.id] : "pending"; });
+    _syncCacheStatus();
+    $("panel-refresh-btn")?.classList.remove("hidden");
+    $("panel-tabs")?.classList.remove("hidden");
+    _syncLoading();
+    _activeTab = REPORT_TABS[0].id;
+    _syncTabButtons();
+    _renderTab(_activeTab, results);
+    $("panel-index")?.classList.remove("hidden");
+    _renderIndex();
+    _notifyState();
+  }
+
+  function setSourceState(id, state, cachedAt = null) {
+    _sourceState[id] = state;
+    if (cachedAt) { _cachedAt[id] = cachedAt; _syncCacheStatus(); }
+    const src = REPORT_SOURCES.find((s) => s.id === id);
+    if (src && src.tab === _activeTab) _refreshTab(_activeTab, _lastResults);
+    _renderIndex();
+    _syncLoading();
+  }
+
+  function _syncLoading() {
+    const loading = Object.values(_sourceState).includes("pending");
+    if (loading) showSpinner();
+    else hideSpinner();
+    $("panel-footer")?.classList.toggle("hidden", loading);
+  }
+
+  // "Cached at" note beside the coordinates, using the oldest cached answer
+  // (or the save time for a report reopened from history).
+  function _syncCacheStatus() {
+    const el = $("panel-cache-status");
+    if (!el) return;
+    if (_savedAt) {
+      el.textContent = `Saved ${new Date(_savedAt).toLocaleString([], { dateStyle: "short", timeStyle: "short" })}`;
+      el.title = "Opened from report history. Refresh to re-run it with live data.";
+      el.classList.remove("hidden");
+      return;
+    }
+    const times = Object.values(_cachedAt);
+    if (!times.length) { el.classList.add("hidden"); el.textContent = ""; return; }
+    const oldest = new Date(Math.min(...times));
+    const partial = times.length < REPORT_SOURCES.length ? "Partly cached" : "Cached";
+    el.textContent = `${partial} ${oldest.toLocaleString([], { dateStyle: "short", timeStyle: "short" })}`;
+    el.title = `${times.length} of ${REPORT_SOURCES.length} sources loaded from the local cache`;
+    el.classList.remove("hidden");
+  }
+
+  // ---- Composite hazard index ----
+
+  function _computeIndex() {
+    return HazardIndex.compute(_lastResults, (id) => _sourceState[id] === "found" || _sourceState[id] === "empty");
+  }
+
+  function _renderIndex() {
+    const el = $("panel-index-card");
+    if (!el || !_lastResults) return;
+    const wasOpen = el.querySelector(".index-breakdown")?.open;
+    const pending = Object.values(_sourceState).filter((s) => s === "pending").length;
+    el.innerHTML = ReportCards.hazardIndex(_computeIndex(), pending);
+    if (wasOpen) el.querySelector(".index-breakdown")?.setAttribute("open", "");
+  }
+
+  function _syncWeightFields(weights) {
+    HazardIndex.COMPONENTS.forEach(({ key }) => {
+      const input = document.querySelector(`#panel-index-weight-fields input[data-key="${key}"]`);
+      if (input) input.value = weights[key];
+      const out = $(`panel-index-weight-${key}`);
+      if (out) out.textContent = weights[key];
+    });
+  }
+
+  function _buildWeightFields() {
+    const box = $("panel-index-weight-fields");
+    if (!box) return;
+    const weights = HazardIndex.getWeights();
+    box.innerHTML = HazardIndex.COMPONENTS.map(({ key, label }) => `
+      <label class="index-weight-row">
+        <span>${label}</span>
+        <input type="range" min="0" max="50" step="5" value="${weights[key]}" data-key="${key}">
+        <output id="panel-index-weight-${key}">${weights[key]}</output>
+      </label>
+    `).join("");
+    box.addEventListener("input", (e) => {
+      const key = e.target.dataset?.key;
+      if (!key) return;
+      _syncWeightFields(HazardIndex.setWeight(key, e.target.value));
+      _renderIndex();
+    });
+    $("panel-index-reset")?.addEventListener("click", () => {
+      _syncWeightFields(HazardIndex.resetWeights());
+      _renderIndex();
+    });
+  }
+
+  // Registers the handler for the header refresh button (re-runs the report
+  // for the current point, bypassing the cache).
+  function onRefresh(fn) { _onRefresh = fn; }
+
+  // Registers the handler for a failed card's retry button (gets the source id).
+  function onRetry(fn) { _onRetry = fn; }
+
+  function _syncTabButtons() {
+    document.querySelectorAll(".panel-tab").forEach((btn) => {
+      btn.classList.toggle("active", btn.dataset.tab === _activeTab);
+    });
+  }
+
+  function _switchTab(tab) {
+    if (!_lastResults) return;
+    _activeTab = tab;
+    _syncTabButtons();
+    _renderTab(tab, _lastResults);
+    _notifyState();
+  }
+
+  function _renderTab(tab, r) {
+    const body = $("panel-body");
+    if (!body) return;
+    const cards = _tabCards(tab, r);
+    _slotHTML = {};
+    cards.forEach(({ src, html }) => { _slotHTML[src.id] = html; });
+    body.innerHTML = cards.map(({ src, html }) =>
+      `<div class="report-slot" data-source="${src.id}">${html}</div>`
+    ).join("") + `<div class="report-slot report-tab-empty">${_tabEmptyHTML(tab, cards)}</div>`;
+  }
+
+  // Re-renders changed source slots in place so the scroll position (and
+  // any open "Source" footer) survives.
+  function _refreshTab(tab, r) {
+    const body = $("panel-body");
+    if (!body) return;
+    const cards = _tabCards(tab, r);
+    cards.forEach(({ src, html }) => {
+      const el = body.querySelector(`.report-slot[data-source="${src.id}"]`);
+      if (!el || _slotHTML[src.id] === html) return;
+      el.innerHTML = html;
+      _slotHTML[src.id] = html;
+    });
+    const emptyEl = body.querySelector(".report-tab-empty");
+    if (emptyEl) emptyEl.innerHTML = _tabEmptyHTML(tab, cards);
+  }
+
+  function _tabCards(tab, r) {
+    return REPORT_SOURCES.filter((src) => src.tab === tab).map((src) => {
+      const state = _sourceState[src.id];
+      let html;
+      if (state === "pending")      html = ReportCards.skeleton(src);
+      else if (state === "timeout") html = ReportCards.timedOut(src);
+      else if (state === "error")   html = ReportCards.sourceError(src);
+      else                          html = src.render(r);
+      if (html && (state === "found" || state === "empty")) html += ReportCards.provenance(r.provenance[src.id]);
+      return { src, html };
+    });
+  }
+
+  function _tabEmptyHTML(tab, cards) {
+    if (cards.some((c) => c.html)) return "";
+    const meta = REPORT_TABS.find((t) => t.id === tab);
+    return ReportCards.noData(meta?.emptyMessage || "No data available for this location.");
+  }
+
+  function _buildTabButtons() {
+    const bar = $("panel-tabs");
+    if (!bar) return;
+    bar.innerHTML = REPORT_TABS.map((t) =>
+      `<button class="panel-tab${t.id === _activeTab ? " active" : ""}" data-tab="${t.id}">${t.title}</button>`
+    ).join("");
+  }
+
+  // ---- PDF Export ----
+
+  const PDF_WARNING_STYLE = "margin:0 0 10px;padding:6px 8px;font-size:11px;color:#8a4b00;background:#fff4e5;border:1px solid #f0b060;border-radius:4px;";
+
+  function _failedSources() {
+    return REPORT_SOURCES.filter((src) => ["error", "timeout"].includes(_sourceState[src.id]));
+  }
+
+  function _failureText(src) {
+    return `${src.label} (${_sourceState[src.id] === "timeout" ? "timed out" : "service unavailable"})`;
+  }
+
+  // "Sources" appendix: every service behind the report, per source.
+  function _citationsAppendix() {
+    const el = document.createElement("div");
+    const items = REPORT_SOURCES.map((src) => {
+      const prov = _lastResults.provenance[src.id];
+      const lines = ReportCards.citationLines(prov);
+      if (!lines.length) return "";
+      return `
+        <div style="margin-bottom:8px;">
+          <strong style="color:#0c1f2c;">${src.label}</strong>
+          <span style="color:#888;"> · queried ${new Date(prov.queriedAt).toLocaleString()}</span>
+          ${lines.map((l) => `<div style="margin-left:10px;word-break:break-all;">${l.url}<br><span style="color:#555;">${l.detail}</span></div>`).join("")}
+        </div>`;
+    }).join("");
+    el.innerHTML = `
+      <h2 style="font-size:14px;color:#0c1f2c;margin:16px 0 8px;border-bottom:1px solid #ccc;padding-bottom:4px;">Sources</h2>
+      <div style="font-size:10px;color:#333;line-height:1.5;">${items || "No source details recorded."}</div>
+    `;
+    return el;
+  }
+
+  // Copy of a panel card restyled for the white PDF page.
+  function _printCard(card) {
+    const clone = card.cloneNode(true);
+    // Remove visual-only elements that don't print well
+    clone.querySelectorAll(".severity-track,.mmi-scale,.pct-track,.stat-row,.haz-badge,.source-retry-btn").forEach(el => el.remove());
+    // Force all text dark for white PDF background
+    clone.style.cssText = "margin-bottom:12px;padding:10px;border:1px solid #ccc;border-radius:6px;background:#f9f9f9;color:#111;";
+    // Walk all child elements and force readable colors
+    clone.querySelectorAll("*").forEach(el => {
+      el.style.color = "#222";
+      el.style.background = "transparent";
+      el.style.borderColor = "#ccc";
+    });
+    // Re-darken label text specifically
+    clone.querySelectorAll(".dash-card-label").forEach(el => { el.style.color = "#555"; el.style.fontSize = "10px"; });
+    clone.querySelectorAll(".dash-card-explain,.dash-card-sub,.fault-dist-text,.pct-val,.pct-name").forEach(el => { el.style.color = "#333"; });
+    clone.querySelectorAll(".dash-card-value,.fault-name-text").forEach(el => { el.style.color = "#0c1f2c"; el.style.fontWeight = "600"; });
+    clone.querySelectorAll("strong").forEach(el => { el.style.color = "#0c1f2c"; });
+    return clone;
+  }
+
+  function exportPDF() {
+    const btn = $("export-pdf-btn");
+    if (btn) { btn.disabled = true; btn.textContent = "Generating PDF..."; }
+
+    const lat  = _lastLatLng ? _lastLatLng.lat.toFixed(5) : "-";
+    const lng  = _lastLatLng ? Math.abs(_lastLatLng.lng).toFixed(5) : "-";
+    const name = $("panel-location-name")?.textContent || DEFAULT_PLACE_NAME;
+    const placeLine = [placeSubtitle(_place), _place?.street].filter(Boolean).join(" · ");
+    const date = new Date().toLocaleString();
+
+    const printEl = document.createElement("div");
+    printEl.style.cssText = "font-family:Arial,sans-serif;color:#111;background:#fff;padding:24px;max-width:680px;";
+    printEl.innerHTML = `
+      <h1 style="margin:0 0 4px;font-size:18px;color:#0c1f2c;">Geospatial Manifold - Location Report</h1>
+      <p style="margin:0 0 2px;font-size:12px;color:#555;">${name}</p>
+      ${placeLine ? `<p style="margin:0 0 2px;font-size:11px;color:#555;">${placeLine}</p>` : ""}
+      <p style="margin:0 0 16px;font-size:11px;color:#888;">Coordinates: ${lat}° N, ${lng}° W · Generated: ${date}</p>
+      ${_failedSources().length ? `<p style="${PDF_WARNING_STYLE}">Incomplete report: ${_failedSources().map(_failureText).join(", ")}. Sections marked below could not be loaded.</p>` : ""}
+      <hr style="border:none;border-top:1px solid #ddd;margin-bottom:16px;">
+    `;
+
+    const indexEl = document.createElement("div");
+    indexEl.innerHTML = ReportCards.hazardIndex(_computeIndex());
+    indexEl.querySelectorAll(".dash-card").forEach((card) => {
+      card.querySelector(".index-breakdown")?.setAttribute("open", "");
+      card.querySelectorAll("summary").forEach((el) => el.remove());
+      printEl.appendChild(_printCard(card));
+    });
+
+    REPORT_TABS.forEach(({ id, title }) => {
+      _renderTab(id, _lastResults);
+      const bodyEl = $("panel-body");
+      const sectionEl = document.createElement("div");
+      const failed = _failedSources().filter((src) => src.tab === id);
+      sectionEl.innerHTML = `<h2 style="font-size:14px;color:#0c1f2c;margin:16px 0 8px;border-bottom:1px solid #ccc;padding-bottom:4px;">${title}${failed.length ? " (incomplete)" : ""}</h2>`
+        + (failed.length ? `<p style="${PDF_WARNING_STYLE}">Not loaded: ${failed.map(_failureText).join(", ")}.</p>` : "");
+      const cards = bodyEl?.querySelectorAll(".dash-card, .no-data-card") || [];
+      cards.forEach((card) => sectionEl.appendChild(_printCard(card)));
+      printEl.appendChild(sectionEl);
+    });
+
+    printEl.appendChild(_citationsAppendix());
+
+    _renderTab(_activeTab, _lastResults);
+
+    const opt = {
+      margin:     [10, 10, 10, 10],
+      filename:   `geospatial-manifold-report-${lat}-${lng}.pdf`,
+      image:      { type: "jpeg", quality: 0.92 },
+      html2canvas: { scale: 2, useCORS: true, backgroundColor: "#ffffff" },
+      jsPDF:      { unit: "mm", format: "a4", orientation: "portrait" },
+    };
+
+    html2pdf().set(opt).from(printEl).save()
+      .finally(() => {
+        if (btn) { btn.disabled = false; btn.textContent = "⬇ Export PDF Report"; }
+      });
+  }
+
+  function init() {
+    $("panel-close-btn")?.addEventListener("click", close);
+    $("panel-refresh-btn")?.addEventListener("click", () => {
+      if (_onRefresh && _lastLatLng) _onRefresh(_lastLatLng);
+    });
+    _buildTabButtons();
+    _buildWeightFields();
+    document.querySelectorAll(".panel-tab").forEach((btn) => {
+      btn.addEventListener("click", () => _switchTab(btn.dataset.tab));
+    });
+    $("export-pdf-btn")?.addEventListener("click", exportPDF);
+    $("panel-body")?.addEventListener("click", (e) => {
+      const btn = e.target.closest?.(".source-retry-btn");
+      if (btn && _onRetry) _onRetry(btn.dataset.source);
+    });
+  }
+
+  // Area reports and the out-of-coverage notice have no tabs or per-source
+  // cards, just one rendered page.
+  function _startSinglePage(coordsText, name, html) {
+    _lastResults = null;
+    _sourceState = {};
+    _cachedAt    = {};
+    _savedAt     = null;
+    _syncCacheStatus();
+    const el = $("panel-coords");
+    if (el) el.textContent = coordsText;
+    setLocationName(name);
+    setPlace(null);
+    $("panel-refresh-btn")?.classList.add("hidden");
+    $("panel-tabs")?.classList.add("hidden");
+    $("panel-index")?.classList.add("hidden");
+    $("panel-footer")?.classList.add("hidden");
+    const body = $("panel-body");
+    if (body) body.innerHTML = html;
+    _notifyState();
+  }
+
+  function startAreaReport(label) {
+    _startSinglePage(label, "Area Report", "");
+    showSpinner();
+  }
+
+  // Shown instead of a report for points outside California.
+  function showOutsideCoverage(latlng) {
+    _lastLatLng = latlng;
+    _startSinglePage(_coordsText(latlng), "Outside Coverage Area", ReportCards.outsideCoverage());
+    hideSpinner();
+  }
+
+  function showAreaReport(html) {
+    hideSpinner();
+    const body = $("panel-body");
+    if (body) body.innerHTML = html;
+  }
+
+  // Finished report currently shown ({ latlng, name, place, results }), or
+  // null while sources are still loading.
+  function getReport() {
+    if (!_lastResults || Object.values(_sourceState).includes("pending")) return null;
+    const name = $("panel-location-name")?.textContent || DEFAULT_PLACE_NAME;
+    return { latlng: _lastLatLng, name, place: _place, results: _lastResults };
+  }
+
+  return {
+    open, close, setCoords, setLocationName, setPlace,
+    startReport, setSourceState, startAreaReport, showAreaReport, showOutsideCoverage,
+    onRefresh, onRetry, onStateChange, getState, showTab, getReport, init,
+  };
+
+})();
+
+/* ============================================================================
+  14) LOCATION COMPARISON (pinned sites)
+============================================================================ */
+
+const CompareController = (function () {
+
+  // One row per compared value. `score` is higher-is-worse (null = no data)
+  // and decides which column gets the "worst" highlight.
+  const ROWS = [
+    {
+      label: "Fire hazard zone",
+      value: (r) => r.fire.zone ? `${r.fire.zone}${r.fire.area ? ` (${r.fire.area})` : ""}` : (r.fire.nearestZone ? `Outside · ${r.fire.nearestDist} mi to ${r.fire.nearestZone}` : "—"),
+      score: (r) => HazardIndex.fireRank(r.fire.zone),
+    },
+    {
+      label: "Flood zone",
+      value: (r) => r.flood.zone || (r.flood.nearestZone ? `Outside · ${r.flood.nearestDist} mi` : "—"),
+      score: (r) => HazardIndex.floodRank(r.flood.zone),
+    },
+    {
+      label: "Nearest fault",
+      value: (r) => Number.isFinite(r.fault.dist) ? `${r.fault.dist.toFixed(2)} mi · ${r.fault.name}` : `None within ${proximityMaxMiles()} mi`,
+      score: (r) => Number.isFinite(r.fault.dist) ? -r.fault.dist : null,
+    },
+    {
+      label: "Shaking (MMI)",
+      value: (r) => r.geo.mmi !== null ? `${formatMMI(r.geo.mmi).valueStr} · ${formatMMI(r.geo.mmi).label}` : "—",
+      score: (r) => r.geo.mmi,
+    },
+    {
+      label: "Landslide class",
+      value: (r) => r.geo.landslide ? `Class ${r.geo.landslide}` : "—",
+      score: (r) => r.geo.landslide ? LANDSLIDE_ORDER.indexOf(r.geo.landslide) : null,
+    },
+    ...CES_FIELDS.map((f) => ({
+      label: f.label,
+      value: (r) => r.air[f.key] !== null ? `${r.air[f.key]}th` : "—",
+      score: (r) => r.air[f.key],
+    })),
+  ];
+
+  let _map    = null;
+  let _pins   = [];   // { id, latlng, name, results, marker }
+  let _nextId = 1;
+
+  function _pinIcon(n) {
+    return L.divIcon({ className: "", html: `<div class="compare-pin">${n}</div>`, iconSize: [22, 22], iconAnchor: [11, 11] });
+  }
+
+  function _renumber() {
+    _pins.forEach((p, i) => p.marker.setIcon(_pinIcon(i + 1)));
+  }
+
+  function pin(report) {
+    if (!report) return;
+    const key = ReportCache.roundedKey(report.latlng);
+    const existing = _pins.find((p) => ReportCache.roundedKey(p.latlng) === key);
+    if (existing) unpin(existing.id);
+    if (_pins.length >= COMPARE.MAX_PINS) return;
+    const entry = {
+      id: _nextId++,
+      latlng: report.latlng,
+      name: report.name,
+      results: JSON.parse(JSON.stringify(report.results)),
+      marker: L.marker(report.latlng, { icon: _pinIcon(_pins.length + 1), interactive: false }),
+    };
+    if (_map) entry.marker.addTo(_map);
+    _pins.push(entry);
+    _renumber();
+    _syncButtons();
+    _renderTable();
+  }
+
+  function unpin(id) {
+    const p = _pins.find((x) => x.id === id);
+    if (!p) return;
+    if (_map) _map.removeLayer(p.marker);
+    _pins = _pins.filter((x) => x.id !== id);
+    _renumber();
+    _syncButtons();
+    _renderTable();
+    if (!_pins.length) closeView();
+  }
+
+  function _syncButtons() {
+    const pinBtn = $("pin-location-btn");
+    if (pinBtn) {
+      pinBtn.disabled = _pins.length >= COMPARE.MAX_PINS;
+      pinBtn.title = pinBtn.disabled ? `Up to ${COMPARE.MAX_PINS} locations can be compared` : "Pin this location for comparison";
+    }
+    const cmpBtn = $("compare-open-btn");
+    if (cmpBtn) {
+      cmpBtn.textContent = `Compare (${_pins.length})`;
+      cmpBtn.disabled = _pins.length < 2;
+    }
+  }
+
+  // Indices of the worst (highest-scoring) columns in a row, or [] if the row
+  // has fewer than two values or they are all equal.
+  function _worstColumns(row) {
+    const scores = _pins.map((p) => row.score(p.results));
+    const valid = scores.filter((s) => s !== null && s !== undefined && Number.isFinite(s));
+    if (valid.length < 2) return [];
+    const max = Math.max(...valid);
+    if (valid.every((s) => s === max)) return [];
+    return scores.map((s, i) => (s === max ? i : -1)).filter((i) => i >= 0);
+  }
+
+  function _tableHTML({ forPrint = false } = {}) {
+    const head = _pins.map((p, i) => `
+      <th>
+        <div class="compare-col-head">
+          <span class="compare-pin">${i + 1}</span>
+          <span>${escapeHtml(p.name)}</span>
+          ${forPrint ? "" : `<button class="compare-unpin" data-pin="${p.id}" title="Remove" aria-label="Remove">&#x2715;</button>`}
+        </div>
+        <div class="compare-col-coords">${p.latlng.lat.toFixed(4)}, ${p.latlng.lng.toFixed(4)}</div>
+      </th>`).join("");
+    const body = ROWS.map((row) => {
+      const worst = _worstColumns(row);
+      const cells = _pins.map((p, i) =>
+        `<td class="${worst.includes(i) ? "compare-worst" : ""}">${row.value(p.results)}</td>`
+      ).join("");
+      return `<tr><th scope="row">${row.label}</th>${cells}</tr>`;
+    }).join("");
+    return `<table class="compare-table"><thead><tr><th></th>${head}</tr></thead><tbody>${body}</tbody></table>`;
+  }
+
+  function _renderTable() {
+    const el = $("compare-body");
+    if (!el) return;
+    el.innerHTML = _pins.length ? _tableHTML() : "";
+    el.querySelectorAll(".compare-unpin").forEach((btn) => {
+      btn.addEventListener("click", () => unpin(Number(btn.dataset.pin)));
+    });
+  }
+
+  function openView() {
+    if (_pins.length < 2) return;
+    _renderTable();
+    $("compare-overlay")?.classList.remove("hidden");
+  }
+
+  function closeView() {
+    $("compare-overlay")?.classList.add("hidden");
+  }
+
+  function exportPDF() {
+    const btn = $("compare-export-btn");
+    if (btn) { btn.disabled = true; btn.textContent = "Generating PDF..."; }
+
+    const printEl = document.createElement("div");
+    printEl.style.cssText = "font-family:Arial,sans-serif;color:#111;background:#fff;padding:24px;";
+    printEl.innerHTML = `
+      <h1 style="margin:0 0 4px;font-size:18px;color:#0c1f2c;">Geospatial Manifold - Location Comparison</h1>
+      <p style="margin:0 0 16px;font-size:11px;color:#888;">Generated: ${new Date().toLocaleString()} · Highlighted cells mark the highest-risk value in each row</p>
+      ${_tableHTML({ forPrint: true })}
+    `;
+    printEl.querySelectorAll("table").forEach((t) => { t.style.cssText = "border-collapse:collapse;width:100%;font-size:11px;"; });
+    printEl.querySelectorAll("th,td").forEach((c) => { c.style.cssText = "border:1px solid #ccc;padding:5px 6px;text-align:left;vertical-align:top;color:#222;"; });
+    printEl.querySelectorAll(".compare-worst").forEach((c) => { c.style.background = "#fde2e2"; c.style.fontWeight = "600"; });
+    printEl.querySelectorAll(".compare-pin").forEach((el) => { el.style.cssText = "font-weight:700;margin-right:4px;"; });
+
+    const opt = {
+      margin:     [10, 10, 10, 10],
+      filename:   `geospatial-manifold-comparison-${_pins.length}-sites.pdf`,
+      image:      { type: "jpeg", quality: 0.92 },
+      html2canvas: { scale: 2, useCORS: true, backgroundColor: "#ffffff" },
+      jsPDF:      { unit: "mm", format: "a4", orientation: "landscape" },
+    };
+
+    html2pdf().set(opt).from(printEl).save()
+      .finally(() => {
+        if (btn) { btn.disabled = false; btn.textContent = "⬇ Export Comparison PDF"; }
+      });
+  }
+
+  function init(map) {
+    _map = map;
+    $("pin-location-btn")?.addEventListener("click", () => pin(PanelController.getReport()));
+    $("compare-open-btn")?.addEventListener("click", openView);
+    $("compare-close-btn")?.addEventListener("click", closeView);
+    $("compare-export-btn")?.addEventListener("click", exportPDF);
+    _syncButtons();
+  }
+
+  return { init, pin, unpin, openView, closeView };
+
+})();
+
+/* ============================================================================
+  14b) REPORT HISTORY
+============================================================================ */
+
+// Every finished point report is kept in localStorage (newest first, one per
+// rounded coordinate) and listed in a drawer inside the panel. Entries can be
+// reopened from the stored results or re-run live.
+const HistoryController = (function () {
+
+  let _onOpen = null;   // (entry, { live }) => void
+
+  function _load() {
+    try {
+      const list = JSON.parse(localStorage.getItem(HISTORY.STORAGE_KEY) || "[]");
+      return Array.isArray(list) ? list : [];
+    } catch (e) {
+      console.warn("Report history unreadable:", e);
+      return [];
+    }
+  }
+
+  function _save(list) {
+    try {
+      localStorage.setItem(HISTORY.STORAGE_KEY, JSON.stringify(list));
+    } catch (e) {
+      console.warn("Could not save report history:", e);
+    }
+  }
+
+  function add({ latlng, name, place = null, results }) {
+    const key = ReportCache.roundedKey(latlng);
+    const entry = {
+      key,
+      lat: latlng.lat,
+      lng: latlng.lng,
+      name: name || DEFAULT_PLACE_NAME,
+      place,
+      savedAt: Date.now(),
+      results: JSON.parse(JSON.stringify(results)),
+    };
+    _save([entry, ..._load().filter((e) => e.key !== key)].slice(0, HISTORY.MAX_ENTRIES));
+    _render();
+  }
+
+  function remove(key) {
+    _save(_load().filter((e) => e.key !== key));
+    _render();
+  }
+
+  function clear() {
+    _save([]);
+    _render();
+  }
+
+  function _render() {
+    const el = $("history-list");
+    if (!el) return;
+    const list = _load();
+    $("history-clear-btn")?.classList.toggle("hidden", !list.length);
+    if (!list.length) {
+      el.innerHTML = ReportCards.noData("No saved reports yet. Every location report you run is added here.");
+      return;
+    }
+    el.innerHTML = list.map((e) => `
+      <div class="history-item" data-key="${e.key}">
+        <div class="history-item-main">
+          <div class="history-item-name">${escapeHtml(e.name)}</div>
+          <div class="history-item-meta">${e.lat.toFixed(5)}, ${e.lng.toFixed(5)} · ${new Date(e.savedAt).toLocaleString([], { dateStyle: "short", timeStyle: "short" })}</div>
+        </div>
+        <div class="history-item-actions">
+          <button data-action="open" title="Open the saved report">Open</button>
+          <button data-action="live" title="Re-run the report with live data">&#x21BB;</button>
+          <button data-action="delete" title="Delete from history" aria-label="Delete from history">&#x2715;</button>
+        </div>
+      </div>
+    `).join("");
+  }
+
+  function show() {
+    _render();
+    PanelController.open();
+    $("slide-panel")?.classList.add("history-open");
+    $("history-drawer")?.classList.remove("hidden");
+  }
+
+  function hide() {
+    $("slide-panel")?.classList.remove("history-open");
+    $("history-drawer")?.classList.add("hidden");
+  }
+
+  function toggle() {
+    if ($("history-drawer")?.classList.contains("hidden")) show();
+    else hide();
+  }
+
+  // `onOpen(entry, { live })` shows a saved entry (live = re-query it).
+  function init({ onOpen }) {
+    _onOpen = onOpen;
+    $("panel-history-btn")?.addEventListener("click", toggle);
+    $("history-toggle")?.addEventListener("click", show);
+    $("history-clear-btn")?.addEventListener("click", () => {
+      if (confirm("Delete all saved reports?")) clear();
+    });
+    $("history-list")?.addEventListener("click", (e) => {
+      const btn = e.target.closest?.("button[data-action]");
+      const key = btn?.closest(".history-item")?.dataset.key;
+      if (!key) return;
+      if (btn.dataset.action === "delete") return remove(key);
+      const entry = _load().find((x) => x.key === key);
+      if (entry && _onOpen) _onOpen(entry, { live: btn.dataset.action === "live" });
+    });
+  }
+
+  return { init, add, remove, clear, show, hide };
+
+})();
+
+/* ============================================================================
+  14c) DATA EXPORTS (JSON / GeoJSON / CSV)
+============================================================================ */
+
+// Machine-readable copies of the point report on screen. GeoJSON and CSV share
+// one flat property set (snake_case `<slot>_<field>` columns, so new report
+// sources show up without changes here); JSON keeps the full results object,
+// including per-source status and provenance.
+const ReportExport = (function () {
+
+  function _snake(key) {
+    return key.replace(/([a-z0-9])([A-Z])/g, "$1_$2").replace(/[^A-Za-z0-9]+/g, "_").toLowerCase();
+  }
+
+  function _flattenInto(out, prefix, value) {
+    if (value === null || value === undefined) { out[prefix] = null; return; }
+    if (Array.isArray(value)) {
+      // An empty list still gets its column, so every export has the same columns.
+      if (!value.length) { out[prefix] = null; return; }
+      // [[label, value], ...] pairs (facility attributes) become columns too.
+      if (value.every((v) => Array.isArray(v) && v.length === 2)) {
+        value.forEach(([k, v]) => _flattenInto(out, `${prefix}_${_snake(String(k))}`, v));
+      } else if (value.some((v) => v && typeof v === "object")) {
+        // Lists of records (e.g. fire designations) get numbered columns.
+        value.forEach((v, i) => _flattenInto(out, `${prefix}_${i + 1}`, v));
+      } else {
+        out[prefix] = value.join(",");
+      }
+      return;
+    }
+    if (typeof value === "object") {
+      Object.entries(value).forEach(([k, v]) => _flattenInto(out, `${prefix}_${_snake(k)}`, v));
+      return;
+    }
+    out[prefix] = value;
+  }
+
+  // { name, latlng, place?, results } -> ordered flat properties.
+  function flatten({ name, latlng, place = null, results }) {
+    const ix = HazardIndex.compute(results, (id) => ["found", "empty"].includes(results.status?.[id]));
+    const out = {
+      name,
+      lat: Number(latlng.lat.toFixed(6)),
+      lng: Number(latlng.lng.toFixed(6)),
+      generated_at: new Date().toISOString(),
+      hazard_index: ix.score === null ? null : Number(ix.score.toFixed(1)),
+    };
+    if (place) {
+      ["street", "city", "county", "zip"].forEach((k) => { out[`place_${k}`] = place[k] ?? null; });
+    }
+    const slots = [...new Set(REPORT_SOURCES.map((src) => src.slot))];
+    slots.forEach((slot) => {
+      Object.entries(results[slot] || {}).forEach(([k, v]) => _flattenInto(out, `${slot}_${_snake(k)}`, v));
+    });
+    REPORT_SOURCES.forEach((src) => { out[`status_${_snake(src.id)}`] = results.status?.[src.id] ?? null; });
+    return out;
+  }
+
+  function _csvCell(v) {
+    if (v === null || v === undefined) return "";
+    const s = String(v);
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  // One header row plus one row per record (columns = union, in first-seen order).
+  function toCSV(rows) {
+    const columns = [];
+    rows.forEach((row) => Object.keys(row).forEach((k) => { if (!columns.includes(k)) columns.push(k); }));
+    return [columns, ...rows.map((row) => columns.map((c) => row[c]))]
+      .map((cells) => cells.map(_csvCell).join(","))
+      .join("\r\n");
+  }
+
+  function toGeoJSON(report) {
+    return {
+      type: "Feature",
+      geometry: { type: "Point", coordinates: [report.latlng.lng, report.latlng.lat] },
+      properties: flatten(report),
+    };
+  }
+
+  function toJSON(report) {
+    return {
+      name: report.name,
+      location: { lat: report.latlng.lat, lng: report.latlng.lng },
+      generatedAt: new Date().toISOString(),
+      hazardIndex: HazardIndex.compute(report.results, (id) => ["found", "empty"].includes(report.results.status?.[id])),
+      results: report.results,
+    };
+  }
+
+  const FORMATS = {
+    json:    { ext: "json",    mime: "application/json",     build: (r) => JSON.stringify(toJSON(r), null, 2) },
+    geojson: { ext: "geojson", mime: "application/geo+json", build: (r) => JSON.stringify(toGeoJSON(r), null, 2) },
+    csv:     { ext: "csv",     mime: "text/csv",             build: (r) => toCSV([flatten(r)]) },
+  };
+
+  function download(format) {
+    const report = PanelController.getReport();
+    const fmt = FORMATS[format];
+    if (!report || !fmt) return;
+    const lat = report.latlng.lat.toFixed(5);
+    const lng = Math.abs(report.latlng.lng).toFixed(5);
+    downloadFile(`geospatial-manifold-report-${lat}-${lng}.${fmt.ext}`, fmt.mime, fmt.build(report));
+  }
+
+  function init() {
+    document.querySelectorAll("#export-data-actions button[data-format]").forEach((btn) => {
+      btn.addEventListener("click", () => download(btn.dataset.format));
+    });
+  }
+
+  return { init, flatten, toCSV, toGeoJSON, toJSON, download };
+
+})();
+
+/* ============================================================================
+  14d) SITE PORTFOLIO (CSV import → queued reports)
+============================================================================ */
+
+// Imports a CSV of sites (address or lat/lng columns), runs the full report
+// for each through a small queue, plots them coloured by one hazard and lists
+// them in a sortable table that exports back to CSV with the report fields.
+const PortfolioController = (function () {
+
+  const LAT_COLS     = ["lat", "latitude", "y"];
+  const LNG_COLS     = ["lng", "lon", "long", "longitude", "x"];
+  const ADDRESS_COLS = ["address", "full_address", "site_address", "location"];
+  const NAME_COLS    = ["name", "site", "site_name", "facility", "facility_name", "id"];
+
+  // Marker colour modes, each backed by a HazardIndex component (0..1 level).
+  const COLOR_BY = {
+    fire:    { label: "Fire severity",    component: "fire" },
+    flood:   { label: "Flood severity",   component: "flood" },
+    seismic: { label: "Seismic shaking",  component: "mmi" },
+  };
+
+  // `value` is shown in the table, `sort` orders it (nulls always last).
+  const COLUMNS = [
+    { key: "row",       label: "#",          value: (s) => s.id + 1,                 sort: (s) => s.id },
+    { key: "name",      label: "Site",       value: (s) => s.name,                   sort: (s) => s.name.toLowerCase() },
+    { key: "status",    label: "Status",     value: (s) => STATUS_TEXT[s.status],    sort: (s) => s.status },
+    { key: "fire",      label: "Fire zone",  value: (s) => s.results?.fire.zone || "—",  sort: (s) => s.results ? HazardIndex.fireRank(s.results.fire.zone) : null },
+    { key: "flood",     label: "Flood zone", value: (s) => s.results?.flood.zone || "—", sort: (s) => s.results ? HazardIndex.floodRank(s.results.flood.zone) : null },
+    { key: "fault",     label: "Fault (mi)", value: (s) => Number.isFinite(s.results?.fault.dist) ? s.results.fault.dist.toFixed(1) : "—", sort: (s) => s.results?.fault.dist ?? null },
+    { key: "mmi",       label: "MMI",        value: (s) => s.results?.geo.mmi ?? "—",  sort: (s) => s.results?.geo.mmi ?? null },
+    { key: "landslide", label: "Landslide",  value: (s) => s.results?.geo.landslide || "—", sort: (s) => s.results?.geo.landslide ? LANDSLIDE_ORDER.indexOf(s.results.geo.landslide) : null },
+    { key: "ces",       label: "CES pct",    value: (s) => s.results?.air.cesScore ?? "—", sort: (s) => s.results?.air.cesScore ?? null },
+    { key: "index",     label: "Index",      value: (s) => _indexScore(s) === null ? "—" : Math.round(_indexScore(s)), sort: (s) => _indexScore(s) },
+  ];
+
+  const STATUS_TEXT = {
+    queued: "Queued", geocoding: "Geocoding", running: "Running", done: "Done",
+    partial: "Partial", "not-found": "Address not found", invalid: "No location",
+    outside: "Outside California", cancelled: "Cancelled",
+  };
+
+  let _map = null;
+  let _layers = null;
+  let _onOpenSite = null;
+  let _markers = null;
+  let _sites = [];
+  let _colorBy = "fire";
+  let _sort = { key: "row", dir: 1 };
+  let _run = null;              // AbortController of the import in progress
+
+  const _renderSoon = debounce(() => _render(), 150);
+
+  function _ready(results, id) {
+    return ["found", "empty"].includes(results.status?.[id]);
+  }
+
+  function _indexScore(site) {
+    return site.results ? HazardIndex.compute(site.results, (id) => _ready(site.results, id)).score : null;
+  }
+
+  // ---- Import ----
+
+  function _column(header, names) {
+    return header.findIndex((h) => names.includes(h));
+  }
+
+  function _sitesFromCSV(text) {
+    const rows = parseCSV(text.replace(/^\uFEFF/, ""));
+    if (rows.length < 2) return [];
+    const rawHeader = rows[0].map((h) => h.trim());
+    const header = rawHeader.map((h) => h.toLowerCase().replace(/\s+/g, "_"));
+    const latCol = _column(header, LAT_COLS);
+    const lngCol = _column(header, LNG_COLS);
+    const addrCol = _column(header, ADDRESS_COLS);
+    const nameCol = _column(header, NAME_COLS);
+
+    return rows.slice(1, PORTFOLIO.MAX_SITES + 1).map((cells, id) => {
+      const input = {};
+      rawHeader.forEach((h, i) => { input[h || `column_${i + 1}`] = cells[i] ?? ""; });
+      const lat = latCol >= 0 ? parseFloat(cells[latCol]) : NaN;
+      const lng = lngCol >= 0 ? parseFloat(cells[lngCol]) : NaN;
+      const address = addrCol >= 0 ? (cells[addrCol] || "").trim() : "";
+      const latlng = Number.isFinite(lat) && Number.isFinite(lng)
+        ? L.latLng(lat, lng)
+        : (address ? parseCoordinateQuery(address) : null);
+      return {
+        id,
+        input,
+        name: (nameCol >= 0 && cells[nameCol]?.trim()) || address || `Site ${id + 1}`,
+        address,
+        latlng,
+        status: latlng || address ? "queued" : "invalid",
+        results: null,
+        marker: null,
+      };
+    });
+  }
 
-    if (r.air.ozone !== null) {
-      body.insertAdjacentHTML("beforeend", _card("ozone (ground-level)", `
-        <div style="display:flex;align-items:baseline;gap:8px;margin-bottom:6px;">
-          <span class="dash-card-value">${r.air.ozone}th</span>
-          <span class="dash-card-sub" style="margin:0;">percentile${r.air.ozoneRaw !== null ? " · " + r.air.ozoneRaw.toFixed(3) + " ppm" : ""}</span>
-        </div>
-        <div class="dash-card-explain">
-          Ground-level ozone forms when sunlight reacts with pollutants from cars, power plants, and
-          industrial sources. Unlike the protective ozone layer high in the atmosphere, ground-level
-          ozone irritates the airways, aggravates asthma and respiratory disease, and can reduce lung
-          function even in healthy people. This indicator summarizes warm-season (May-October) ozone
-          conditions from 2017-2019. A percentile of <strong>${r.air.ozone}</strong> means this tract
-          has higher ozone exposure than <strong>${r.air.ozone}%</strong> of California census tracts.
-        </div>
-      `));
-    }
+  async function _runSite(site, signal) {
+    if (site.status !== "queued") return;
+    if (signal.aborted) { site.status = "cancelled"; return _renderSoon(); }
 
-    if (r.air.pm !== null) {
-      body.insertAdjacentHTML("beforeend", _card("pm2.5 - fine particulate matter", `
-        <div style="display:flex;align-items:baseline;gap:8px;margin-bottom:6px;">
-          <span class="dash-card-value">${r.air.pm}th</span>
-          <span class="dash-card-sub" style="margin:0;">percentile${r.air.pmRaw !== null ? " · " + r.air.pmRaw.toFixed(2) + " µg/m³" : ""}</span>
-        </div>
-        <div class="dash-card-explain">
-          PM2.5 refers to fine particles smaller than 2.5 micrometers, about 30 times smaller than
-          a human hair. They come from combustion sources like cars, trucks, wildfires, and industry,
-          and can penetrate deep into the lungs and bloodstream. Long-term exposure is linked to
-          cardiovascular and respiratory disease, premature death, and developmental issues in children.
-          This indicator uses annual average concentrations from 2015-2017. A percentile of
-          <strong>${r.air.pm}</strong> means this tract has higher PM2.5 than
-          <strong>${r.air.pm}%</strong> of California census tracts.
-        </div>
-      `));
+    if (!site.latlng) {
+      site.status = "geocoding";
+      _renderSoon();
+      try {
+        site.latlng = (await forwardGeocode(site.address, signal))[0]?.latlng || null;
+      } catch (e) {
+        if (!signal.aborted) console.warn(`Geocoding failed for "${site.address}":`, e);
+      }
+      if (signal.aborted) { site.status = "cancelled"; return _renderSoon(); }
+      if (!site.latlng) { site.status = "not-found"; return _renderSoon(); }
     }
-
-    if (r.air.diesel !== null) {
-      body.insertAdjacentHTML("beforeend", _card("diesel particulate matter (diesel pm)", `
-        <div style="display:flex;align-items:baseline;gap:8px;margin-bottom:6px;">
-          <span class="dash-card-value">${r.air.diesel}th</span>
-          <span class="dash-card-sub" style="margin:0;">percentile${r.air.dieselRaw !== null ? " · " + r.air.dieselRaw.toFixed(2) + " µg/m³" : ""}</span>
-        </div>
-        <div class="dash-card-explain">
-          Diesel PM measures emissions from diesel-powered vehicles and equipment, primarily trucks,
-          buses, trains, construction equipment, and ships. Diesel exhaust contains a complex mixture
-          of gases and fine particles that are classified as a known carcinogen by the State of California.
-          Communities near freeways, ports, rail yards, and distribution centers tend to have higher
-          diesel PM exposure. A percentile of <strong>${r.air.diesel}</strong> means this tract has
-          higher diesel PM exposure than <strong>${r.air.diesel}%</strong> of California census tracts.
-        </div>
-      `));
+    if (!isInCoverage(site.latlng)) { site.status = "outside"; return _renderSoon(); }
+
+    site.status = "running";
+    _renderSoon();
+    const session = createReportSession(_map, site.latlng, _layers);
+    const onAbort = () => session.cancel();
+    signal.addEventListener("abort", onAbort, { once: true });
+    const states = await Promise.all(REPORT_SOURCES.map((src) => runReportSource(src, session)));
+    signal.removeEventListener("abort", onAbort);
+
+    if (states.includes("cancelled")) site.status = "cancelled";
+    else {
+      site.results = session.results;
+      site.status = states.some((s) => s === "error" || s === "timeout") ? "partial" : "done";
     }
+    _placeMarker(site);
+    _renderSoon();
+  }
 
-    if (r.air.pesticide !== null) {
-      body.insertAdjacentHTML("beforeend", _card("pesticide use", `
-        <div style="display:flex;align-items:baseline;gap:8px;margin-bottom:6px;">
-          <span class="dash-card-value">${r.air.pesticide}th</span>
-          <span class="dash-card-sub" style="margin:0;">percentile${r.air.pesticideRaw !== null ? " · " + r.air.pesticideRaw.toFixed(1) + " lbs/sq mi" : ""}</span>
-        </div>
-        <div class="dash-card-explain">
-          This indicator measures total pounds of selected agricultural pesticide active ingredients
-          applied per square mile in the census tract, based on California DPR data. A high percentile
-          reflects heavy nearby agricultural pesticide use, it does not mean residents are being directly
-          exposed or are in immediate danger. The primary concern is for people with regular or
-          occupational exposure, particularly farmworkers and those living immediately adjacent to
-          treated fields. A percentile of <strong>${r.air.pesticide}</strong> means this tract has
-          higher reported pesticide use than <strong>${r.air.pesticide}%</strong> of California census tracts.
-        </div>
-      `));
-    }
+  async function importCSV(text) {
+    cancel();
+    clear();
+    _sites = _sitesFromCSV(text);
+    _render();
+    if (!_sites.length) return;
+
+    const run = new AbortController();
+    _run = run;
+    _render();
+    await mapLimit(_sites, PORTFOLIO.SITE_CONCURRENCY, (site) => _runSite(site, run.signal));
+    if (_run === run) _run = null;
+    _render();
+
+    if (run.signal.aborted) return;
+    const located = _sites.filter((s) => s.marker).map((s) => s.latlng);
+    if (located.length) _map.fitBounds(L.latLngBounds(located), { padding: [40, 40], maxZoom: 12 });
+  }
 
-    if (r.air.water !== null) {
-      body.insertAdjacentHTML("beforeend", _card("drinking water contaminants", `
-        <div style="display:flex;align-items:baseline;gap:8px;margin-bottom:6px;">
-          <span class="dash-card-value">${r.air.water}th</span>
-          <span class="dash-card-sub" style="margin:0;">percentile${r.air.waterRaw !== null ? " · raw score: " + r.air.waterRaw.toFixed(2) : ""}</span>
-        </div>
-        <div class="dash-card-explain">
-          This indicator combines contaminant levels and regulatory violations from drinking water
-          systems serving this area, based on data from 2011-2019 compliance cycles. A higher score
-          indicates a water system with more contaminant detections or more frequent violations. A
-          percentile of <strong>${r.air.water}</strong> means this tract has a higher drinking water
-          burden than <strong>${r.air.water}%</strong> of California census tracts.
-        </div>
-      `));
-    }
+  function cancel() {
+    if (_run) _run.abort();
+    _run = null;
+  }
 
-    if (r.air.lead !== null) {
-      body.insertAdjacentHTML("beforeend", _card("children's lead risk from housing", `
-        <div style="display:flex;align-items:baseline;gap:8px;margin-bottom:6px;">
-          <span class="dash-card-value">${r.air.lead}th</span>
-          <span class="dash-card-sub" style="margin:0;">percentile${r.air.leadRaw !== null ? " · score: " + r.air.leadRaw.toFixed(2) : ""}</span>
-        </div>
-        <div class="dash-card-explain">
-          This indicator (new in CalEnviroScreen 4.0) estimates the risk of lead exposure for
-          children from housing, based on the age of homes and the prevalence of low-income households
-          with children under 6. There is no safe level of lead exposure for children, even low levels
-          can affect brain development, learning, and behavior. This is a risk indicator based on
-          housing characteristics, not a measurement of actual blood lead levels. A percentile of
-          <strong>${r.air.lead}</strong> means children in this tract face higher estimated lead
-          exposure risk than those in <strong>${r.air.lead}%</strong> of California census tracts.
-        </div>
-      `));
-    }
+  function clear() {
+    if (_markers) _markers.clearLayers();
+    _sites = [];
+  }
 
-    if (r.air.asthma !== null) {
-      body.insertAdjacentHTML("beforeend", _card("asthma emergency department visits", `
-        <div style="display:flex;align-items:baseline;gap:8px;margin-bottom:6px;">
-          <span class="dash-card-value">${r.air.asthma}th</span>
-          <span class="dash-card-sub" style="margin:0;">percentile${r.air.asthmaRaw !== null ? " · " + r.air.asthmaRaw.toFixed(1) + " visits/10k" : ""}</span>
-        </div>
-        <div class="dash-card-explain">
-          This indicator measures age-adjusted rates of emergency department visits for asthma
-          per 10,000 residents, based on patient ZIP code data. Unlike the pollution indicators above
-          which measure exposure levels, this is a direct health outcome measure. A percentile of
-          <strong>${r.air.asthma}</strong> means this tract has higher asthma ED visit rates than
-          <strong>${r.air.asthma}%</strong> of California census tracts.
-        </div>
-      `));
+  // ---- Map ----
+
+  function _levelColor(level) {
+    if (level === null || level === undefined) return "#7a9ab0";
+    if (level > 0.7)  return "#e05252";
+    if (level > 0.4)  return "#f0833a";
+    if (level > 0)    return "#e8c840";
+    return "#4cbe8a";
+  }
+
+  function _siteColor(site) {
+    const comp = HazardIndex.COMPONENTS.find((c) => c.key === COLOR_BY[_colorBy].component);
+    if (!site.results || !_ready(site.results, comp.source)) return _levelColor(null);
+    return _levelColor(comp.level(site.results));
+  }
+
+  function _placeMarker(site) {
+    if (!site.latlng || !site.results || !_markers) return;
+    if (!site.marker) {
+      site.marker = L.circleMarker(site.latlng, { radius: 7, color: "#fff", weight: 1.5, fillOpacity: 0.9 })
+        .bindTooltip(escapeHtml(site.name))
+        .on("click", () => _onOpenSite && _onOpenSite(site.latlng))
+        .addTo(_markers);
     }
+    site.marker.setStyle({ fillColor: _siteColor(site) });
   }
 
-  // ---- GEOLOGY TAB ----
+  // ---- Table ----
 
-  function _renderGeology(body, r) {
-    if (r.geo.mmi !== null) {
-      const fmt    = formatMMI(r.geo.mmi);
-      const mmiInt = fmt.intClass;
-      const boxes  = [4,5,6,7,8,9,10].map((v) =>
-        `<div class="mmi-box ${v <= mmiInt ? "" : "inactive"}" style="background:${_mmiColor(v)}"></div>`
-      ).join("");
+  function _sorted() {
+    const col = COLUMNS.find((c) => c.key === _sort.key) || COLUMNS[0];
+    return [..._sites].sort((a, b) => {
+      const va = col.sort(a), vb = col.sort(b);
+      if (va === null || va === undefined) return (vb === null || vb === undefined) ? a.id - b.id : 1;
+      if (vb === null || vb === undefined) return -1;
+      return (va < vb ? -1 : va > vb ? 1 : 0) * _sort.dir || a.id - b.id;
+    });
+  }
 
-      body.insertAdjacentHTML("beforeend", _card("shaking potential - mmi (10% in 50 years)", `
-        <div style="display:flex;align-items:baseline;gap:8px;margin-bottom:4px;">
-          <span class="dash-card-value">${fmt.valueStr}</span>
-          <span class="dash-card-sub" style="margin:0;">${fmt.label}</span>
-        </div>
-        <div class="mmi-scale">${boxes}</div>
-        <div class="mmi-scale-labels"><span>MMI 4 · Light</span><span>MMI 10 · Extreme</span></div>
-        <div class="dash-card-explain">
-          The Modified Mercalli Intensity (MMI) scale describes how strongly the ground shakes at a
-          specific location during an earthquake, based on estimated ground motion from historical
-          seismic data. An MMI of <strong>${fmt.valueStr} (${fmt.label})</strong> at this location is
-          the estimated intensity with a 10% probability of being exceeded over 50 years, meaning there
-          is roughly a 1-in-10 chance shaking this strong or stronger will occur here within a 50-year
-          period. At MMI VI (Strong), unsecured objects fall and minor structural damage is possible.
-          At MMI VIII+ (Severe to Extreme), major structural damage and collapse risk increases
-          significantly, especially in unreinforced masonry or older wood-frame buildings.
-        </div>
-      `));
-    } else {
-      body.insertAdjacentHTML("beforeend", _noData("Shaking potential data is not available for this location."));
+  function _render() {
+    const body = $("portfolio-body");
+    const progress = $("portfolio-progress");
+    const settled = _sites.filter((s) => !["queued", "geocoding", "running"].includes(s.status)).length;
+    if (progress) {
+      progress.textContent = !_sites.length
+        ? "Import a CSV with an address column or lat / lng columns."
+        : `${settled} of ${_sites.length} sites processed${_run ? "..." : ""}`;
     }
+    $("portfolio-cancel-btn")?.classList.toggle("hidden", !_run);
+    const exportBtn = $("portfolio-export-btn");
+    if (exportBtn) exportBtn.disabled = !_sites.some((s) => s.results);
+    if (!body) return;
+    if (!_sites.length) { body.innerHTML = ""; return; }
+
+    const head = COLUMNS.map((c) => {
+      const arrow = c.key === _sort.key ? (_sort.dir > 0 ? " ▲" : " ▼") : "";
+      return `<th data-sort="${c.key}">${c.label}${arrow}</th>`;
+    }).join("");
+    const rows = _sorted().map((s) => `
+      <tr data-site="${s.id}" class="${s.latlng ? "portfolio-row-located" : ""}">
+        ${COLUMNS.map((c) => c.key === "name"
+          ? `<td><span class="portfolio-dot" style="background:${_siteColor(s)}"></span>${escapeHtml(c.value(s))}</td>`
+          : `<td>${escapeHtml(c.value(s))}</td>`).join("")}
+      </tr>
+    `).join("");
+    body.innerHTML = `<table class="compare-table portfolio-table"><thead><tr>${head}</tr></thead><tbody>${rows}</tbody></table>`;
+  }
 
-    if (r.geo.landslide) {
-      const idx   = _landslideIndex(r.geo.landslide);
-      const pct   = idx >= 0 ? ((idx + 1) / LANDSLIDE_ORDER.length) * 100 : 0;
-      const color = _landslideColor(idx);
+  function _recolor() {
+    _sites.forEach(_placeMarker);
+    _render();
+  }
 
-      body.insertAdjacentHTML("beforeend", _card("landslide susceptibility (cgs)", `
-        <div style="display:flex;align-items:baseline;gap:8px;margin-bottom:8px;">
-          <span class="dash-card-value">Class ${r.geo.landslide}</span>
-          <span class="dash-card-sub" style="margin:0;">of X</span>
-        </div>
-        <div class="severity-track"><div class="severity-fill" style="width:${pct}%;background:${color}"></div></div>
-        <div class="severity-labels"><span>Class I (lowest)</span><span>Class X (highest)</span></div>
-        <div class="dash-card-explain">
-          This location falls within Landslide Susceptibility <strong>Class ${r.geo.landslide}</strong>
-          according to CGS Map Sheet 58. The classification reflects the relative likelihood of slope
-          failure based on geology, terrain steepness, and historical patterns, not an absolute
-          probability. Higher classes (VII-X) indicate terrain that is more prone to landslides,
-          debris flows, and earth movements under triggers like intense rainfall, prolonged saturation,
-          or strong earthquake shaking. It does not replace a site-specific geotechnical investigation.
-        </div>
-      `));
-    } else {
-      body.insertAdjacentHTML("beforeend", _noData("No landslide susceptibility data found for this location."));
+  // ---- Export ----
+
+  // Original CSV columns first, then every report field (renamed with a
+  // `report_` prefix where it would clash with an input column).
+  function exportCSV() {
+    const rows = _sites.map((s) => {
+      const row = { ...s.input, portfolio_status: STATUS_TEXT[s.status] };
+      if (s.results) {
+        const flat = ReportExport.flatten({ name: s.name, latlng: s.latlng, results: s.results });
+        Object.entries(flat).forEach(([k, v]) => { row[k in row ? `report_${k}` : k] = v; });
+      }
+      return row;
+    });
+    downloadFile("geospatial-manifold-portfolio.csv", "text/csv", ReportExport.toCSV(rows));
+  }
+
+  // ---- Dock ----
+
+  function open()  { $("portfolio-dock")?.classList.remove("hidden"); }
+  function close() { $("portfolio-dock")?.classList.add("hidden"); }
+
+  // `onOpenSite(latlng)` opens the full report for a clicked site.
+  function init(map, layers, { onOpenSite }) {
+    _map = map;
+    _layers = layers;
+    _onOpenSite = onOpenSite;
+    _markers = L.layerGroup().addTo(map);
+
+    const select = $("portfolio-color-by");
+    if (select) {
+      select.innerHTML = Object.entries(COLOR_BY).map(([k, m]) => `<option value="${k}">${m.label}</option>`).join("");
+      select.value = _colorBy;
+      select.addEventListener("change", () => { _colorBy = select.value; _recolor(); });
     }
+    $("portfolio-toggle")?.addEventListener("click", open);
+    $("portfolio-close-btn")?.addEventListener("click", close);
+    $("portfolio-cancel-btn")?.addEventListener("click", () => { cancel(); _render(); });
+    $("portfolio-export-btn")?.addEventListener("click", exportCSV);
+    $("portfolio-file")?.addEventListener("change", async (e) => {
+      const file = e.target.files?.[0];
+      e.target.value = "";
+      if (file) importCSV(await file.text());
+    });
+    $("portfolio-body")?.addEventListener("click", (e) => {
+      const th = e.target.closest?.("th[data-sort]");
+      if (th) {
+        _sort = { key: th.dataset.sort, dir: _sort.key === th.dataset.sort ? -_sort.dir : 1 };
+        return _render();
+      }
+      const site = _sites[Number(e.target.closest?.("tr[data-site]")?.dataset.site)];
+      if (site?.latlng && _onOpenSite) _onOpenSite(site.latlng);
+    });
+    _render();
   }
 
-  // ---- PDF Export ----
+  return { init, open, close, importCSV, cancel, exportCSV };
 
-  function exportPDF() {
-    const btn = $("export-pdf-btn");
-    if (btn) { btn.disabled = true; btn.textContent = "Generating PDF..."; }
+})();
 
-    const lat  = _lastLatLng ? _lastLatLng.lat.toFixed(5) : "-";
-    const lng  = _lastLatLng ? Math.abs(_lastLatLng.lng).toFixed(5) : "-";
-    const name = $("panel-location-name")?.textContent || "Location Report";
-    const date = new Date().toLocaleString();
+/* ============================================================================
+  15) AREA REPORT (Geoman polygon / rectangle)
+============================================================================ */
 
-    const printEl = document.createElement("div");
-    printEl.style.cssText = "font-family:Arial,sans-serif;color:#111;background:#fff;padding:24px;max-width:680px;";
-    printEl.innerHTML = `
-      <h1 style="margin:0 0 4px;font-size:18px;color:#0c1f2c;">Geospatial Manifold - Location Report</h1>
-      <p style="margin:0 0 2px;font-size:12px;color:#555;">${name}</p>
-      <p style="margin:0 0 16px;font-size:11px;color:#888;">Coordinates: ${lat}° N, ${lng}° W · Generated: ${date}</p>
-      <hr style="border:none;border-top:1px solid #ddd;margin-bottom:16px;">
-    `;
+function queryIntersects(layer, geojson, signal) {
+  return new Promise((resolve) => {
+    abortWith(signal, layer.query().intersects(geojson).returnGeometry(true).run((err, fc) => resolve({ err, fc })));
+  });
+}
 
-    const sections = [
-      { tab: "hazards", title: "Hazards" },
-      { tab: "air",     title: "Environment & Health" },
-      { tab: "geology", title: "Geology" },
-    ];
+function clipToArea(feature, polygon) {
+  try {
+    const g = feature?.geometry;
+    if (!g || (g.type !== "Polygon" && g.type !== "MultiPolygon")) return null;
+    return turf.intersect(turf.feature(g), polygon);
+  } catch (e) {
+    console.warn("Area clip failed:", e);
+    return null;
+  }
+}
 
-    sections.forEach(({ tab, title }) => {
-      _renderTab(tab, _lastResults);
-      const bodyEl = $("panel-body");
-      const sectionEl = document.createElement("div");
-      sectionEl.innerHTML = `<h2 style="font-size:14px;color:#0c1f2c;margin:16px 0 8px;border-bottom:1px solid #ccc;padding-bottom:4px;">${title}</h2>`;
-      const cards = bodyEl?.querySelectorAll(".dash-card, .no-data-card") || [];
-      cards.forEach((card) => {
-        const clone = card.cloneNode(true);
-        // Remove visual-only elements that don't print well
-        clone.querySelectorAll(".severity-track,.mmi-scale,.pct-track,.stat-row,.haz-badge").forEach(el => el.remove());
-        // Force all text dark for white PDF background
-        clone.style.cssText = "margin-bottom:12px;padding:10px;border:1px solid #ccc;border-radius:6px;background:#f9f9f9;color:#111;";
-        // Walk all child elements and force readable colors
-        clone.querySelectorAll("*").forEach(el => {
-          el.style.color = "#222";
-          el.style.background = "transparent";
-          el.style.borderColor = "#ccc";
-        });
-        // Re-darken label text specifically
-        clone.querySelectorAll(".dash-card-label").forEach(el => { el.style.color = "#555"; el.style.fontSize = "10px"; });
-        clone.querySelectorAll(".dash-card-explain,.dash-card-sub,.fault-dist-text,.pct-val,.pct-name").forEach(el => { el.style.color = "#333"; });
-        clone.querySelectorAll(".dash-card-value,.fault-name-text").forEach(el => { el.style.color = "#0c1f2c"; el.style.fontWeight = "600"; });
-        clone.querySelectorAll("strong").forEach(el => { el.style.color = "#0c1f2c"; });
-        sectionEl.appendChild(clone);
-      });
-      printEl.appendChild(sectionEl);
+// Merges polygons into one so overlapping parts are only counted once.
+function unionAll(polygons) {
+  return polygons.reduce((acc, poly) => {
+    if (!acc) return poly;
+    try {
+      return turf.union(acc, poly) || acc;
+    } catch (e) {
+      console.warn("Area union failed:", e);
+      return acc;
+    }
+  }, null);
+}
+
+// Share of the polygon's area covered by each value of `field` across layers:
+// { shares: [{ zone, pct }], outsidePct }. Designations can overlap (LRA and
+// SRA, stacked flood areas), so each zone's share and the outside share are
+// measured on the union of their polygons; shares may still sum past 100%
+// where different zones overlap.
+async function zoneSharesWithin(layersArr, polygon, field, signal) {
+  const total = turf.area(polygon);
+  const byZone = {};
+  for (const lyr of layersArr) {
+    const { err, fc } = await queryIntersects(lyr, polygon, signal);
+    if (err) throw err;
+    for (const f of fc?.features || []) {
+      const clipped = clipToArea(f, polygon);
+      if (!clipped) continue;
+      const zone = f.properties?.[field] || "Unclassified";
+      (byZone[zone] = byZone[zone] || []).push(clipped);
+    }
+  }
+  const merged = Object.entries(byZone).map(([zone, parts]) => ({ zone, shape: unionAll(parts) }));
+  const covered = unionAll(merged.map((m) => m.shape));
+  return {
+    shares: merged
+      .map(({ zone, shape }) => ({ zone, pct: Math.min(100, (turf.area(shape) / total) * 100) }))
+      .sort((a, b) => b.pct - a.pct),
+    outsidePct: covered ? Math.max(0, 100 - (turf.area(covered) / total) * 100) : 100,
+  };
+}
+
+async function cesTractsWithin(polygon, signal) {
+  const total = turf.area(polygon);
+  const { err, fc } = await new Promise((resolve) => {
+    abortWith(signal, L.esri.query({ url: SERVICES.CALENVIRO_4 })
+      .intersects(polygon).returnGeometry(true)
+      .run((err, fc) => resolve({ err, fc })));
+  });
+  if (err) throw err;
+
+  const tracts = [];
+  for (const f of fc?.features || []) {
+    const clipped = clipToArea(f, polygon);
+    if (!clipped) continue;
+    const p = f.properties || {};
+    const tract = { label: String(p.Tract ?? p.tract ?? "Tract"), weightPct: (turf.area(clipped) / total) * 100 };
+    CES_FIELDS.forEach((cf) => {
+      tract[cf.key] = p[cf.pct] !== undefined && p[cf.pct] !== null ? Math.round(p[cf.pct]) : null;
     });
+    tracts.push(tract);
+  }
+  tracts.sort((a, b) => b.weightPct - a.weightPct);
+
+  // Weighted over the tracts that actually report each indicator.
+  const weighted = {};
+  CES_FIELDS.forEach((cf) => {
+    const have = tracts.filter((t) => t[cf.key] !== null);
+    const w = have.reduce((sum, t) => sum + t.weightPct, 0);
+    weighted[cf.key] = w > 0 ? have.reduce((sum, t) => sum + t[cf.key] * t.weightPct, 0) / w : null;
+  });
+  return { tracts, weighted };
+}
 
-    _renderTab(_activeTab, _lastResults);
+async function faultsCrossing(faultsGroupLayer, polygon, signal) {
+  const names = new Set();
+  for (const lyr of [faultsGroupLayer?._regional, faultsGroupLayer?._local]) {
+    if (!lyr) continue;
+    const { err, fc } = await queryIntersects(lyr, polygon, signal);
+    if (err) throw err;
+    (fc?.features || []).forEach((f) => names.add(findBestFaultName(f.properties) || "Unnamed / Unknown"));
+  }
+  return [...names].sort();
+}
 
-    const opt = {
-      margin:     [10, 10, 10, 10],
-      filename:   `geospatial-manifold-report-${lat}-${lng}.pdf`,
-      image:      { type: "jpeg", quality: 0.92 },
-      html2canvas: { scale: 2, useCORS: true, backgroundColor: "#ffffff" },
-      jsPDF:      { unit: "mm", format: "a4", orientation: "portrait" },
-    };
+// Grid of points inside the polygon (plus one guaranteed interior point).
+function areaSamplePoints(polygon) {
+  const bbox = turf.bbox(polygon);
+  const cellKm = Math.max(0.01, Math.sqrt(turf.area(turf.bboxPolygon(bbox)) / AREA.MAX_SAMPLES) / 1000);
+  const grid = turf.pointGrid(bbox, cellKm, { units: "kilometers", mask: polygon }).features;
+  const pts = [turf.pointOnFeature(polygon), ...grid].slice(0, AREA.MAX_SAMPLES);
+  return pts.map((pt) => L.latLng(pt.geometry.coordinates[1], pt.geometry.coordinates[0]));
+}
 
-    html2pdf().set(opt).from(printEl).save()
-      .finally(() => {
-        if (btn) { btn.disabled = false; btn.textContent = "⬇ Export PDF Report"; }
-      });
+// A single failed sample is skipped; `mmiFailed` / `landslideFailed` are set
+// when every sample of that service failed, so the card can say "unavailable".
+async function sampleGeologyWithin(map, polygon, signal) {
+  const points = areaSamplePoints(polygon);
+  const FAILED = {};
+  const samples = await mapLimit(points, AREA.SAMPLE_CONCURRENCY, async (latlng) => {
+    const [mmi, landslide] = await Promise.all([
+      identifyMMIAt(latlng, { signal }).catch(() => FAILED),
+      identifyLandslideAt(map, latlng, { signal }).catch(() => FAILED),
+    ]);
+    return { mmi, landslide };
+  });
+
+  const mmis = samples.map((s) => s.mmi).filter((v) => Number.isFinite(v));
+  const slides = samples.map((s) => s.landslide).filter((v) => LANDSLIDE_ORDER.includes(v))
+    .sort((a, b) => LANDSLIDE_ORDER.indexOf(a) - LANDSLIDE_ORDER.indexOf(b));
+  return {
+    samples: points.length,
+    mmi: mmis.length ? { min: Math.min(...mmis), max: Math.max(...mmis) } : null,
+    landslide: slides.length ? { min: slides[0], max: slides[slides.length - 1] } : null,
+    mmiFailed: samples.every((s) => s.mmi === FAILED),
+    landslideFailed: samples.every((s) => s.landslide === FAILED),
+  };
+}
+
+// Wires the Geoman draw toolbar (polygon + rectangle) to the area report.
+// Returns { isBusy, retry } so the click report can stand down while drawing
+// and the panel's Retry buttons can re-run a failed area section.
+function installAreaReport(map, layers) {
+  if (!map.pm) {
+    console.warn("Area report: leaflet-geoman not loaded, drawing disabled.");
+    return { isBusy: () => false, retry: () => {} };
   }
 
-  function init() {
-    $("panel-close-btn")?.addEventListener("click", close);
-    document.querySelectorAll(".panel-tab").forEach((btn) => {
-      btn.addEventListener("click", () => _switchTab(btn.dataset.tab));
-    });
-    $("export-pdf-btn")?.addEventListener("click", exportPDF);
+  map.pm.addControls({
+    position: "topleft",
+    drawMarker: false,
+    drawCircleMarker: false,
+    drawPolyline: false,
+    drawCircle: false,
+    drawText: false,
+    drawPolygon: true,
+    drawRectangle: true,
+    editMode: true,
+    dragMode: false,
+    cutPolygon: false,
+    rotateMode: false,
+    removalMode: true,
+  });
+  map.pm.setPathOptions({ color: "#3ecfcf", weight: 2, fillOpacity: 0.08 });
+
+  // One query per area report section; each rejects when its service fails.
+  const SECTIONS = {
+    fire:   (polygon, signal) => zoneSharesWithin([layers.fireHazardLRA, layers.fireHazardSRA], polygon, "FHSZ_Description", signal),
+    flood:  (polygon, signal) => zoneSharesWithin([layers.floodLayer], polygon, "ESRI_SYMBOLOGY", signal),
+    ces:    (polygon, signal) => cesTractsWithin(polygon, signal),
+    faults: (polygon, signal) => faultsCrossing(layers.faultsLayer, polygon, signal),
+    geo:    (polygon, signal) => sampleGeologyWithin(map, polygon, signal),
+  };
+
+  let drawn = null;
+  let current = null;   // { session, polygon, areaSqMi, values, failed: Set of section keys }
+
+  // Runs one section into state.values; a failure leaves it null and marks it failed.
+  function querySection(state, key) {
+    return SECTIONS[key](state.polygon, state.session.signal).then(
+      (value) => { state.values[key] = value; state.failed.delete(key); },
+      (ex) => {
+        if (!state.session.signal.aborted) console.warn(`Area ${key} query error:`, ex);
+        state.values[key] = null;
+        state.failed.add(key);
+      }
+    );
   }
 
-  return { open, close, setCoords, setLocationName, showLoading, showResults, init };
+  function render(state) {
+    if (!ownsPanel(state.session)) return;
+    const { fire, flood, ces, faults, geo } = state.values;
+    const unavailable = [...state.failed].filter((k) => k !== "geo");
+    if (state.failed.has("geo") || geo?.mmiFailed) unavailable.push("mmi");
+    if (state.failed.has("geo") || geo?.landslideFailed) unavailable.push("landslide");
+    PanelController.showAreaReport(ReportCards.area({
+      areaSqMi: state.areaSqMi, fire, flood, ces, faults,
+      samples: geo?.samples ?? 0, mmi: geo?.mmi ?? null, landslide: geo?.landslide ?? null,
+      unavailable,
+    }));
+  }
 
-})();
+  // Re-runs one failed section of the area report on screen.
+  function retry(key) {
+    const state = current;
+    if (!state || !SECTIONS[key] || !ownsPanel(state.session)) return;
+    querySection(state, key).then(() => render(state));
+  }
+
+  async function run(layer) {
+    const polygon = layer.toGeoJSON();
+    const areaSqMi = turf.area(polygon) / 2589988.11;
+    const controller = new AbortController();
+    const session = { cancel: () => controller.abort(), signal: controller.signal };
+    claimPanel(session);
+
+    PanelController.open();
+    PanelController.startAreaReport(`Drawn area · ${areaSqMi.toFixed(2)} sq mi`);
+
+    if (areaSqMi > AREA.MAX_SQ_MILES) {
+      PanelController.showAreaReport(ReportCards.noData(
+        `This area is ${areaSqMi.toFixed(1)} sq mi. Draw an area under ${AREA.MAX_SQ_MILES} sq mi for an area report.`
+      ));
+      return;
+    }
+
+    const state = { session, polygon, areaSqMi, values: {}, failed: new Set() };
+    current = state;
+    await Promise.all(Object.keys(SECTIONS).map((key) => querySection(state, key)));
+    render(state);
+  }
+
+  map.on("pm:create", (e) => {
+    if (drawn) map.removeLayer(drawn);
+    drawn = e.layer;
+    drawn.on("pm:edit", () => run(drawn));
+    run(drawn);
+  });
+  map.on("pm:remove", (e) => { if (e.layer === drawn) drawn = null; });
+
+  function isBusy() {
+    return Boolean(map.pm.globalDrawModeEnabled?.() || map.pm.globalEditModeEnabled?.() || map.pm.globalRemovalModeEnabled?.());
+  }
+
+  return { isBusy, retry };
+}
 
 /* ============================================================================
-  11) CLICK REPORT
+  16) CLICK REPORT
 ============================================================================ */
 
 // Pulsing click marker — matches Spectral Glimpse style
@@ -1513,195 +4886,231 @@ const _clickMarkerIcon = L.divIcon({
   iconAnchor: [6, 6],
 });
 
-function installClickReport(map, layers) {
-  let clickMarker = null;
+// Whichever report (point or area) started last owns the panel; starting a
+// new one cancels the previous session and clears its map graphics.
+let _panelSession = null;
+let _reportOverlay = null;
 
-  map.on("click", function (e) {
-    if (clickMarker) map.removeLayer(clickMarker);
-    clickMarker = L.marker(e.latlng, { icon: _clickMarkerIcon }).addTo(map);
+function claimPanel(session) {
+  if (_panelSession && _panelSession !== session) _panelSession.cancel();
+  _panelSession = session;
+  if (_reportOverlay) _reportOverlay.clearLayers();
+  HistoryController.hide();
+}
 
-    PanelController.open();
-    PanelController.setCoords(e.latlng);
-    PanelController.showLoading();
-    showSpinner();
+function ownsPanel(session) {
+  return _panelSession === session;
+}
 
-    const lat = e.latlng.lat;
-    const lng = e.latlng.lng;
-
-    const results = {
-      fire:  { zone: null, area: null, nearestZone: null, nearestDist: null },
-      flood: { zone: null, nearestZone: null, nearestDist: null },
-      fault: { name: null, dist: null },
-      air:   {
-        ozone: null, ozoneRaw: null,
-        pm: null, pmRaw: null,
-        water: null, waterRaw: null,
-        diesel: null, dieselRaw: null,
-        pesticide: null, pesticideRaw: null,
-        lead: null, leadRaw: null,
-        asthma: null, asthmaRaw: null,
-        cesScore: null,
-      },
-      geo: { mmi: null, landslide: null },
-    };
+// Returns { runReport, retrySource, openSaved } so other entry points (the
+// panel's refresh and retry buttons, report history) can drive the report
+// without a map click.
+// `ignoreClick()` lets another tool (the area drawing toolbar) claim map clicks.
+function installClickReport(map, layers, { ignoreClick = () => false } = {}) {
+  let clickMarker = null;
+  _reportOverlay = _reportOverlay || L.layerGroup().addTo(map);
 
-    let completed = 0;
-    const total   = 12;
-
-    function checkDone() {
-      completed++;
-      if (completed === total) {
-        fetch(`https://nominatim.openstreetmap.org/reverse?lat=${lat}&lon=${lng}&format=json`)
-          .then((r) => r.json())
-          .then((data) => {
-            const addr = data.address || {};
-            const name = addr.city || addr.town || addr.village || addr.county || addr.state || "Location Report";
-            PanelController.setLocationName(name);
-          })
-          .catch(() => PanelController.setLocationName("Location Report"))
-          .finally(() => {
-            PanelController.showResults(results, e.latlng);
-            hideSpinner();
-          });
-      }
-    }
+  let current = null;
 
-    function queryContains(layer, latlng) {
-      return new Promise((resolve) => {
-        layer.query().contains(latlng).run((err, fc) => resolve({ err, fc }));
-      });
-    }
+  function runSource(src, session) {
+    return runReportSource(src, session).then((state) => {
+      if (!ownsPanel(session)) return;
+      PanelController.setSourceState(src.id, state, session.cachedAt[src.id]);
+      if (state === "found" && src.draw) src.draw(_reportOverlay, session.results, session.latlng);
+      saveToHistory(session);
+    });
+  }
 
-    function queryNearby(layer, latlng, meters) {
-      return new Promise((resolve) => {
-        layer.query().nearby(latlng, meters).run((err, fc) => resolve({ err, fc }));
-      });
-    }
+  // Files the report once every source has settled and the place is in.
+  function saveToHistory(session) {
+    if (!ownsPanel(session) || session.place === undefined) return;
+    if (Object.values(session.results.status).includes("pending")) return;
+    const { latlng, place, results } = session;
+    HistoryController.add({ latlng, name: place.name, place, results });
+  }
 
-    async function nearestZoneAcross(layersArr, fieldName) {
-      let best = null;
-      for (const lyr of layersArr) {
-        const degOffset = UI.NEARBY_METERS / 111320;
-        const sw = L.latLng(e.latlng.lat - degOffset, e.latlng.lng - degOffset);
-        const ne = L.latLng(e.latlng.lat + degOffset, e.latlng.lng + degOffset);
-        const bounds = L.latLngBounds(sw, ne);
-
-        const { err, fc } = await new Promise((resolve) => {
-          lyr.query()
-            .intersects(bounds)
-            .returnGeometry(true)
-            .run((err, fc) => resolve({ err, fc }));
-        });
+  function placeMarker(latlng) {
+    if (clickMarker) map.removeLayer(clickMarker);
+    clickMarker = L.marker(latlng, { icon: _clickMarkerIcon }).addTo(map);
+  }
 
-        if (err || !fc?.features?.length) continue;
-        for (const f of fc.features) {
-          const dist = parseFloat(getDistanceToPolygonEdge(e.latlng, f));
-          if (!Number.isFinite(dist)) continue;
-          if (!best || dist < best.dist) best = { dist, zone: f.properties[fieldName] };
-        }
-      }
-      return best;
-    }
+  // Re-runs one failed or timed-out source of the report on screen.
+  function retrySource(id) {
+    const src = REPORT_SOURCES.find((s) => s.id === id);
+    if (!src || !current || !ownsPanel(current)) return;
+    Object.assign(current.results[src.slot], src.initial);
+    current.results.status[src.id] = "pending";
+    PanelController.setSourceState(src.id, "pending");
+    runSource(src, current);
+  }
 
-    // Task 1: Fire
-    (async () => {
-      try {
-        const lra = await queryContains(layers.fireHazardLRA, e.latlng);
-        if (!lra.err && lra.fc?.features?.length) { results.fire.zone = lra.fc.features[0].properties.FHSZ_Description; results.fire.area = "LRA"; return; }
-        const sra = await queryContains(layers.fireHazardSRA, e.latlng);
-        if (!sra.err && sra.fc?.features?.length) { results.fire.zone = sra.fc.features[0].properties.FHSZ_Description; results.fire.area = "SRA"; return; }
-        const nearest = await nearestZoneAcross([layers.fireHazardLRA, layers.fireHazardSRA], "FHSZ_Description");
-        if (nearest) { results.fire.nearestZone = nearest.zone; results.fire.nearestDist = nearest.dist.toFixed(2); }
-      } catch (ex) { console.warn("Fire query error:", ex); }
-      finally { checkDone(); }
-    })();
-
-    // Task 2: Flood
-    (async () => {
-      try {
-        const res = await queryContains(layers.floodLayer, e.latlng);
-        if (!res.err && res.fc?.features?.length) { results.flood.zone = res.fc.features[0].properties.ESRI_SYMBOLOGY; return; }
-        const nearest = await nearestZoneAcross([layers.floodLayer], "ESRI_SYMBOLOGY");
-        if (nearest) { results.flood.nearestZone = nearest.zone; results.flood.nearestDist = nearest.dist.toFixed(2); }
-      } catch (ex) { console.warn("Flood query error:", ex); }
-      finally { checkDone(); }
-    })();
-
-    // Task 3: Fault
-    (async () => {
-      try {
-        const info = await getNearestFaultInfo(layers.faultsLayer, e.latlng);
-        results.fault.name = info.name;
-        results.fault.dist = info.dist;
-      } catch (ex) { console.warn("Fault query error:", ex); }
-      finally { checkDone(); }
-    })();
-
-    // Task 4: Ozone
-    layers.ozoneLayer.query().contains(e.latlng).run((err, fc) => {
-      try { if (!err && fc.features.length > 0) { const p = fc.features[0].properties; results.air.ozone = p.ozoneP !== undefined ? Math.round(p.ozoneP) : null; results.air.ozoneRaw = p.ozone ?? null; } }
-      catch (ex) { console.warn("Ozone query error:", ex); } finally { checkDone(); }
-    });
+  function runReport(latlng, { refresh = false } = {}) {
+    placeMarker(latlng);
+    PanelController.open();
 
-    // Task 5: PM2.5
-    layers.pmLayer.query().contains(e.latlng).run((err, fc) => {
-      try { if (!err && fc.features.length > 0) { const p = fc.features[0].properties; results.air.pm = p.pmP !== undefined ? Math.round(p.pmP) : null; results.air.pmRaw = p.pm ?? null; } }
-      catch (ex) { console.warn("PM2.5 query error:", ex); } finally { checkDone(); }
+    if (!isInCoverage(latlng)) {
+      current = null;
+      claimPanel(null);
+      PanelController.showOutsideCoverage(latlng);
+      return;
+    }
+    PanelController.setCoords(latlng);
+
+    // Only the most recent report may write to the panel.
+    const session = createReportSession(map, latlng, layers, { refresh });
+    current = session;
+    claimPanel(session);
+    PanelController.startReport(session.results, latlng);
+
+    // Each card renders as soon as its own source settles.
+    REPORT_SOURCES.forEach((src) => runSource(src, session));
+
+    // The address lookup runs alongside the sources and never blocks them.
+    reverseGeocode(latlng, { signal: session.signal, refresh }).then((place) => {
+      session.place = place;
+      if (ownsPanel(session)) PanelController.setPlace(place);
+      saveToHistory(session);
     });
+  }
 
-    // Task 6: Drinking Water
-    layers.drinkLayer.query().contains(e.latlng).run((err, fc) => {
-      try { if (!err && fc.features.length > 0) { const p = fc.features[0].properties; results.air.water = p.drinkP !== undefined ? Math.round(p.drinkP) : null; results.air.waterRaw = p.drink ?? null; } }
-      catch (ex) { console.warn("Drinking water query error:", ex); } finally { checkDone(); }
+  // Shows a report from history without querying anything. Sources added
+  // since it was saved are run live; failed ones can still be retried.
+  function openSaved(entry) {
+    const latlng = L.latLng(entry.lat, entry.lng);
+    placeMarker(latlng);
+    PanelController.open();
+    PanelController.setCoords(latlng);
+
+    const session = createReportSession(map, latlng, layers);
+    const missing = [];
+    REPORT_SOURCES.forEach((src) => {
+      const status = entry.results.status?.[src.id];
+      if (!status || status === "pending") { missing.push(src); return; }
+      const saved = entry.results[src.slot] || {};
+      Object.keys(src.initial).forEach((k) => { if (k in saved) session.results[src.slot][k] = saved[k]; });
+      session.results.status[src.id] = status;
+      session.results.provenance[src.id] = entry.results.provenance?.[src.id] ?? null;
     });
-
-    // Task 8: Diesel PM
-    layers.dieselLayer.query().contains(e.latlng).run((err, fc) => {
-      try { if (!err && fc.features.length > 0) { const p = fc.features[0].properties; results.air.diesel = p.dieselP !== undefined ? Math.round(p.dieselP) : null; results.air.dieselRaw = p.diesel ?? null; } }
-      catch (ex) { console.warn("Diesel PM query error:", ex); } finally { checkDone(); }
+    // Entries saved before addresses were looked up only have a name.
+    session.place = entry.place || { ...placeFromAddress({}), name: entry.name };
+    current = session;
+    claimPanel(session);
+    PanelController.startReport(session.results, latlng, { savedAt: entry.savedAt });
+    PanelController.setPlace(session.place);
+
+    REPORT_SOURCES.forEach((src) => {
+      if (src.draw && session.results.status[src.id] === "found") src.draw(_reportOverlay, session.results, latlng);
     });
+    missing.forEach((src) => runSource(src, session));
+  }
 
-    // Task 9: Pesticides
-    layers.pesticideLayer.query().contains(e.latlng).run((err, fc) => {
-      try { if (!err && fc.features.length > 0) { const p = fc.features[0].properties; results.air.pesticide = p.pestP !== undefined ? Math.round(p.pestP) : null; results.air.pesticideRaw = p.pest ?? null; } }
-      catch (ex) { console.warn("Pesticide query error:", ex); } finally { checkDone(); }
-    });
+  map.on("click", (e) => { if (!ignoreClick()) runReport(e.latlng); });
 
-    // Task 10: Lead Risk
-    layers.leadLayer.query().contains(e.latlng).run((err, fc) => {
-      try { if (!err && fc.features.length > 0) { const p = fc.features[0].properties; results.air.lead = p.leadP !== undefined ? Math.round(p.leadP) : null; results.air.leadRaw = p.lead ?? null; } }
-      catch (ex) { console.warn("Lead risk query error:", ex); } finally { checkDone(); }
-    });
+  return { runReport, retrySource, openSaved };
+}
 
-    // Task 11: Asthma
-    layers.asthmaLayer.query().contains(e.latlng).run((err, fc) => {
-      try { if (!err && fc.features.length > 0) { const p = fc.features[0].properties; results.air.asthma = p.asthmaP !== undefined ? Math.round(p.asthmaP) : null; results.air.asthmaRaw = p.asthma ?? null; } }
-      catch (ex) { console.warn("Asthma query error:", ex); } finally { checkDone(); }
-    });
+/* ============================================================================
+  16b) PERMALINK (URL hash)
+============================================================================ */
 
-    // Task 12: CES Score
-    layers.cesScoreLayer.query().contains(e.latlng).run((err, fc) => {
-      try { if (!err && fc.features.length > 0) { const p = fc.features[0].properties; results.air.cesScore = p.CIscoreP !== undefined ? Math.round(p.CIscoreP) : null; } }
-      catch (ex) { console.warn("CES score query error:", ex); } finally { checkDone(); }
-    });
+// The hash mirrors what is on screen so a link reopens the same view:
+//   #map=<zoom>/<lat>/<lng>&base=<basemap>&layers=<overlay>,<overlay>&tab=<tab>&pt=<lat>,<lng>
+// Basemap and overlay names are slugs of their LAYER_TOGGLES / basemap labels.
+// `pt` is only present while a point report is open in the panel; applying
+// a hash without it closes the panel.
 
-    // Task 7: Landslide + MMI
-    (async () => {
-      try {
-        const [label, mmi] = await Promise.all([
-          identifyLandslideAt(map, e.latlng),
-          identifyMMIAt(e.latlng),
-        ]);
-        results.geo.landslide = label ?? null;
-        results.geo.mmi       = mmi   ?? null;
-      } catch (ex) { console.warn("Geology identify error:", ex); }
-      finally { checkDone(); }
-    })();
+function _layerSlug(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+}
+
+function parsePermalink(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  const state = {};
+  const view = (params.get("map") || "").split("/").map(Number);
+  if (view.length === 3 && view.every(Number.isFinite)) state.view = { zoom: view[0], lat: view[1], lng: view[2] };
+  if (params.get("base")) state.base = params.get("base");
+  if (params.has("layers")) state.layers = params.get("layers").split(",").filter(Boolean);
+  if (params.get("tab")) state.tab = params.get("tab");
+  const pt = (params.get("pt") || "").split(",").map(Number);
+  if (pt.length === 2 && pt.every(Number.isFinite)) state.point = L.latLng(pt[0], pt[1]);
+  return state;
+}
+
+// `basemaps` and `overlays` are the label -> layer maps given to the layers
+// control. Call after the control is on the map so overlay changes fire
+// overlayadd/overlayremove like a user toggle would.
+function installPermalink(map, { basemaps, overlays, report }) {
+  const baseBySlug    = new Map(Object.entries(basemaps).map(([name, layer]) => [_layerSlug(name), layer]));
+  const overlayBySlug = new Map(Object.entries(overlays).map(([name, layer]) => [_layerSlug(name), layer]));
+  const slugOf = (layer, bySlug) => [...bySlug].find(([, l]) => l === layer)?.[0];
+
+  let activeBase = [...baseBySlug.values()].find((l) => map.hasLayer(l)) || null;
+  const enabled = new Set([...overlayBySlug].filter(([, l]) => map.hasLayer(l)).map(([slug]) => slug));
+  let lastWritten = location.hash;
+  let applied = 0;
+
+  function write() {
+    const c = map.getCenter();
+    const parts = [`map=${map.getZoom()}/${c.lat.toFixed(5)}/${c.lng.toFixed(5)}`];
+    const base = slugOf(activeBase, baseBySlug);
+    if (base) parts.push(`base=${base}`);
+    if (enabled.size) parts.push(`layers=${[...enabled].join(",")}`);
+    const panel = PanelController.getState();
+    if (panel.latlng) {
+      parts.push(`tab=${panel.tab}`);
+      parts.push(`pt=${panel.latlng.lat.toFixed(5)},${panel.latlng.lng.toFixed(5)}`);
+    }
+    lastWritten = `#${parts.join("&")}`;
+    if (location.hash !== lastWritten) history.replaceState(null, "", lastWritten);
+  }
+  const scheduleWrite = debounce(write, 250);
+
+  function apply(state) {
+    const base = state.base && baseBySlug.get(state.base);
+    if (base && base !== activeBase) {
+      if (activeBase) map.removeLayer(activeBase);
+      map.addLayer(base);
+    }
+    if (state.layers) {
+      overlayBySlug.forEach((layer, slug) => {
+        const want = state.layers.includes(slug);
+        if (want && !map.hasLayer(layer)) map.addLayer(layer);
+        else if (!want && map.hasLayer(layer)) map.removeLayer(layer);
+      });
+    }
+    if (state.view) map.setView([state.view.lat, state.view.lng], state.view.zoom);
+    const token = ++applied;
+    if (state.point) {
+      // A link can open before the CA outline loads; wait for it so the point
+      // gets the same coverage check as a click. Skip it if another link or a
+      // click has replaced the report meanwhile.
+      const shown = PanelController.getState().latlng;
+      whenCoverageReady().then(() => {
+        if (token !== applied || PanelController.getState().latlng !== shown) return;
+        report.runReport(state.point);
+        if (state.tab) PanelController.showTab(state.tab);
+      });
+    } else {
+      PanelController.close();
+    }
+  }
+
+  map.on("baselayerchange", (e) => { activeBase = e.layer; scheduleWrite(); });
+  map.on("overlayadd",    (e) => { const s = slugOf(e.layer, overlayBySlug); if (s) enabled.add(s);    scheduleWrite(); });
+  map.on("overlayremove", (e) => { const s = slugOf(e.layer, overlayBySlug); if (s) enabled.delete(s); scheduleWrite(); });
+  map.on("moveend", scheduleWrite);
+  PanelController.onStateChange(scheduleWrite);
+
+  // Links pasted into an already-open tab only change the hash.
+  window.addEventListener("hashchange", () => {
+    if (location.hash !== lastWritten) apply(parsePermalink(location.hash));
   });
+
+  apply(parsePermalink(location.hash));
 }
 
 /* ============================================================================
-  12) BOOTSTRAP
+  17) BOOTSTRAP
 ============================================================================ */
 
 (function main() {
@@ -1715,6 +5124,7 @@ function installClickReport(map, layers) {
   addCaliforniaFocusMask(map);
 
   const fire        = createFireLayers();
+  const cgsZones    = createCgsZoneLayers();
   const ev          = createEvChargersLayer(map);
   const universities = createUniversitiesLayer();
 
@@ -1722,6 +5132,11 @@ function installClickReport(map, layers) {
     landslideLayer:  createLandslideVisualLayer(),
     shakingLayer:    createShakingVisualLayer(),
     faultsLayer:     createFaultsInteractiveLayer(map),
+    apFaultZones:    cgsZones.apFaultZones,
+    tsunamiLayer:    createTsunamiLayer(),
+    damInundation:   createDamInundationLayer(),
+    liquefactionZones: cgsZones.liquefactionZones,
+    eqLandslideZones:  cgsZones.eqLandslideZones,
     floodLayer:      createFloodLayer(),
     fireHazardSRA:   fire.fireHazardSRA,
     fireHazardLRA:   fire.fireHazardLRA,
@@ -1784,6 +5199,11 @@ function installClickReport(map, layers) {
     "Flood Hazard Zones":         LAYERS.floodLayer,
     "Landslide Susceptibility":   LAYERS.landslideLayer,
     "Faults":                     LAYERS.faultsLayer,
+    "Alquist-Priolo Fault Zones": LAYERS.apFaultZones,
+    "Tsunami Hazard Area":        LAYERS.tsunamiLayer,
+    "Dam Breach Inundation":      LAYERS.damInundation,
+    "Liquefaction Zones":         LAYERS.liquefactionZones,
+    "EQ-Induced Landslide Zones": LAYERS.eqLandslideZones,
     "Shaking Potential (MMI, 10%/50yr)": LAYERS.shakingLayer,
     "Active Fires":               LAYERS.activeFires,
     "Ozone Percentiles":          LAYERS.ozoneLayer,
@@ -1798,14 +5218,18 @@ function installClickReport(map, layers) {
 
   // Layer control at topright — styled with dark theme via CSS.
   // The toggle button shows the hamburger icon and opens basemap + overlay selector.
-  L.control.layers(
-    { "OpenStreetMap": basemaps.baseOSM, "Esri Satellite": basemaps.esriSat, "Carto Light": basemaps.cartoLight, "Carto Dark": basemaps.cartoDark },
-    LAYER_TOGGLES,
-    { position: "topright", collapsed: true }
-  ).addTo(map);
+  const BASEMAP_TOGGLES = {
+    "OpenStreetMap":  basemaps.baseOSM,
+    "Esri Satellite": basemaps.esriSat,
+    "Carto Light":    basemaps.cartoLight,
+    "Carto Dark":     basemaps.cartoDark,
+  };
+
+  L.control.layers(BASEMAP_TOGGLES, LAYER_TOGGLES, { position: "topright", collapsed: true }).addTo(map);
 
   // Scale bar at bottomright above attribution
   L.control.scale({ imperial: true, position: "bottomright" }).addTo(map);
+  addSearchControl(map, (latlng) => report.runReport(latlng));
   addZoomControl(map);
   addHomeButton(map);
   addLegendControls(map);
@@ -1815,20 +5239,31 @@ function installClickReport(map, layers) {
     else universities.buildDomainMaps(md);
   });
 
-  installClickReport(map, {
+  const reportLayers = {
     fireHazardSRA:  LAYERS.fireHazardSRA,
     fireHazardLRA:  LAYERS.fireHazardLRA,
     floodLayer:     LAYERS.floodLayer,
-    ozoneLayer:     LAYERS.ozoneLayer,
-    pmLayer:        LAYERS.pmLayer,
-    drinkLayer:     LAYERS.drinkLayer,
-    dieselLayer:    LAYERS.dieselLayer,
-    pesticideLayer: LAYERS.pesticideLayer,
-    leadLayer:      LAYERS.leadLayer,
-    asthmaLayer:    LAYERS.asthmaLayer,
-    cesScoreLayer:  LAYERS.cesScoreLayer,
     faultsLayer:    LAYERS.faultsLayer,
+    apFaultZones:      LAYERS.apFaultZones,
+    liquefactionZones: LAYERS.liquefactionZones,
+    eqLandslideZones:  LAYERS.eqLandslideZones,
+    tsunamiLayer:      LAYERS.tsunamiLayer,
+    damInundation:     LAYERS.damInundation,
+  };
+  const area   = installAreaReport(map, reportLayers);
+  const report = installClickReport(map, reportLayers, { ignoreClick: area.isBusy });
+  PanelController.onRefresh((latlng) => report.runReport(latlng, { refresh: true }));
+  PanelController.onRetry((id) => (id.startsWith("area:") ? area.retry(id.slice(5)) : report.retrySource(id)));
+  HistoryController.init({
+    onOpen: (entry, { live }) => live
+      ? report.runReport(L.latLng(entry.lat, entry.lng), { refresh: true })
+      : report.openSaved(entry),
   });
+  CompareController.init(map);
+  ReportExport.init();
+  PortfolioController.init(map, reportLayers, { onOpenSite: (latlng) => report.runReport(latlng) });
+  installPermalink(map, { basemaps: BASEMAP_TOGGLES, overlays: LAYER_TOGGLES, report });
+  ReportCache.prune();
 
   map.fire("zoomend");
 